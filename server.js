@@ -1,304 +1,5518 @@
-// server.js - Optimized backend with working ETH/Base + spam filtering
+// server.js - eth.af backend: multi-chain wallet, portfolio, NFT, DeFi, history,
+// approvals and export API over Alchemy, Etherscan and plain JSON-RPC, with
+// spam filtering, pricing, snapshots and real-time alerts
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const NodeCache = require('node-cache');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
 const { ethers } = require('ethers');
 require('dotenv').config();
 
 const app = express();
 const PORT = parseInt(process.env.PORT) || 3000;
 
-// Initialize caches
-const cache = new NodeCache({ stdTTL: 300 });
-const priceCache = new NodeCache({ stdTTL: 60 });
+// ============================================
+// LOGGING
+// ============================================
 
-// Configuration
-app.set('trust proxy', true);
-app.use(cors());
-app.use(express.json());
+// Logs are JSON lines: { time, level, msg, requestId, ...fields } with the
+// context (chain, address, source, error, counts) as fields rather than
+// baked into the message, so Railway's log search can filter on them.
+// LOG_FORMAT=pretty prints the same entries as one readable line each for
+// local work. Each request gets an ID (the incoming X-Request-Id when a proxy
+// set one, otherwise a fresh UUID) that is echoed back in the response and
+// carried by AsyncLocalStorage through everything the request kicks off, so
+// every entry it causes shares it. Error fields carry a stack at error level.
+// The same context carries ?refresh=true, so caches deep inside a build (ENS
+// profiles, NFT floor prices) can be bypassed without threading a flag through.
 
-// Set default axios timeout
-axios.defaults.timeout = 10000; // 10 seconds
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+// Load balancer and scraper traffic is only logged at debug level
+const QUIET_PATHS = ['/', '/api/health', '/metrics'];
+
+const requestContext = new AsyncLocalStorage();
+
+function getRequestId() {
+    return requestContext.getStore()?.requestId || null;
+}
+
+function isRefreshRequest() {
+    return !!requestContext.getStore()?.refresh;
+}
+
+function serializeError(error, withStack) {
+    if (!(error instanceof Error)) return error;
+    return {
+        message: error.message,
+        code: error.code,
+        status: error.status,
+        httpStatus: error.httpStatus,
+        stack: withStack ? error.stack : undefined
+    };
+}
+
+function formatPrettyValue(value) {
+    if (value && typeof value === 'object') return value.message ?? JSON.stringify(value);
+    return String(value);
+}
+
+function writeLog(level, msg, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+    
+    const entry = { time: new Date().toISOString(), level, msg, requestId: getRequestId() || undefined };
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value !== undefined) entry[key] = serializeError(value, level === 'error');
+    });
+    const stream = level === 'error' ? process.stderr : process.stdout;
+    
+    if (LOG_FORMAT === 'pretty') {
+        const { time, requestId, level: _, msg: __, ...rest } = entry;
+        const parts = [
+            time.slice(11, 23),
+            level.toUpperCase().padEnd(5),
+            requestId ? `[${requestId.slice(0, 8)}]` : null,
+            msg,
+            ...Object.entries(rest).map(([key, value]) => `${key}=${formatPrettyValue(value)}`)
+        ];
+        const stack = Object.values(rest).find(value => value?.stack)?.stack;
+        stream.write(`${parts.filter(Boolean).join(' ')}${stack ? `\n${stack}` : ''}\n`);
+        return;
+    }
+    
+    stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// logger.info('Fetched tokens', { chain, address, count }) - keep msg constant
+// and put the variable parts in fields
+const logger = Object.fromEntries(Object.keys(LOG_LEVELS).map(level => [
+    level,
+    (msg, fields) => writeLog(level, msg, fields)
+]));
+
+// "GET /api/wallet/:addressOrEns" style route, so metrics and usage don't explode per address
+function getRoutePath(req) {
+    return req.route ? `${req.baseUrl}${req.route.path}` : '(unmatched)';
+}
+
+app.use((req, res, next) => {
+    const incoming = req.get('x-request-id');
+    const requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    res.set('X-Request-Id', requestId);
+    
+    // "close" rather than "finish" so aborted requests and closed streams are counted too
+    res.on('close', () => {
+        const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+        const route = getRoutePath(req);
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpRequestDuration.observe({ method: req.method, route }, durationMs / 1000);
+        
+        // req.path, not originalUrl: the query string may carry an API key
+        logger[QUIET_PATHS.includes(req.path) ? 'debug' : 'info'](`${req.method} ${req.path} ${res.statusCode}`, {
+            requestId,
+            method: req.method,
+            path: req.path,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(durationMs),
+            client: req.apiClient
+        });
+    });
+    
+    requestContext.run({ requestId, refresh: req.query.refresh === 'true' }, next);
+});
 
 // ============================================
-// PROVIDERS SETUP (KEEP ORIGINAL WORKING VERSION)
+// METRICS
 // ============================================
 
-const providers = {
-    ethereum: new ethers.JsonRpcProvider(
-        `https://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-        undefined,
-        { timeout: 10000 }
-    )
-};
+// GET /metrics serves the Prometheus text format: HTTP traffic per route,
+// calls to each upstream (RPC providers per chain, the Alchemy NFT API,
+// Etherscan, DefiLlama, CoinGecko, DexScreener, Pendle) with latency and
+// outcome, cache hit ratios, RPC endpoint health and a few process gauges.
+// Scrapers authenticate with "Authorization: Bearer <METRICS_TOKEN>" (the
+// ADMIN_API_KEY works too). The token is required whenever METRICS_TOKEN is set
+// or the API is keyed (API_KEYS / REQUIRE_API_KEY); only an open, keyless
+// deployment serves metrics without one.
 
-// Add Base provider with error handling
-try {
-    providers.base = new ethers.JsonRpcProvider(
-        `https://base-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-        undefined,
-        { timeout: 10000 }
-    );
-} catch (error) {
-    console.log('Base provider initialization failed');
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const metricRegistry = [];
+// Every createCache instance registers its hit/miss counters here
+const cacheRegistry = [];
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+    if (entries.length === 0) return '';
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
 }
 
-// Add other chain providers
-try {
-    providers.polygon = new ethers.JsonRpcProvider(
-        `https://polygon-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-        undefined,
-        { timeout: 10000 }
-    );
-} catch (error) {
-    console.log('Polygon provider initialization failed');
+function createCounter(name, help) {
+    const series = new Map();
+    metricRegistry.push({
+        name,
+        help,
+        type: 'counter',
+        render: () => [...series].map(([labels, value]) => `${name}${labels} ${value}`)
+    });
+    return {
+        inc: (labels = {}, amount = 1) => {
+            const key = formatLabels(labels);
+            series.set(key, (series.get(key) || 0) + amount);
+        }
+    };
 }
 
-try {
-    providers.arbitrum = new ethers.JsonRpcProvider(
-        `https://arb-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-        undefined,
-        { timeout: 10000 }
-    );
-} catch (error) {
-    console.log('Arbitrum provider initialization failed');
+function createHistogram(name, help, buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+    metricRegistry.push({
+        name,
+        help,
+        type: 'histogram',
+        render: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+        ])
+    });
+    return {
+        observe: (labels, value) => {
+            const key = formatLabels(labels);
+            if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const entry = series.get(key);
+            buckets.forEach((le, i) => {
+                if (value <= le) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+        }
+    };
 }
 
-try {
-    providers.optimism = new ethers.JsonRpcProvider(
-        `https://opt-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
-        undefined,
-        { timeout: 10000 }
-    );
-} catch (error) {
-    console.log('Optimism provider initialization failed');
+// Values read at scrape time: collect() returns [{ labels, value }]
+function createCollector(name, help, type, collect) {
+    metricRegistry.push({
+        name,
+        help,
+        type,
+        render: () => collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+    });
+}
+
+const httpRequests = createCounter('ethaf_http_requests_total', 'HTTP requests by route and status');
+const httpRequestDuration = createHistogram('ethaf_http_request_duration_seconds', 'HTTP request duration by route');
+const upstreamRequests = createCounter('ethaf_upstream_requests_total', 'Upstream provider calls by outcome');
+const upstreamDuration = createHistogram('ethaf_upstream_request_duration_seconds', 'Upstream provider call duration');
+
+function recordUpstream(upstream, chain, outcome, seconds) {
+    upstreamRequests.inc({ upstream, chain, outcome });
+    upstreamDuration.observe({ upstream, chain }, seconds);
+}
+
+// RPC calls are timed in withRpcFailover (ethers calls never touch axios), so
+// the interceptors below skip the endpoint URLs to avoid counting them twice
+const rpcEndpointUrls = new Set();
+
+function classifyUpstream(config) {
+    if (!config?.url || rpcEndpointUrls.has(config.url)) return null;
+    let host;
+    try {
+        host = new URL(config.url).hostname;
+    } catch (error) {
+        return null;
+    }
+    
+    if (host.endsWith('.alchemy.com')) {
+        return { upstream: 'alchemy', chain: CHAINS.find(c => c.alchemyNetwork === host.split('.')[0])?.id || 'unknown' };
+    }
+    if (config.params?.chainid && CHAINS.some(c => c.explorerApi && new URL(c.explorerApi).hostname === host)) {
+        return { upstream: 'etherscan', chain: CHAINS.find(c => String(c.chainId) === String(config.params.chainid))?.id || 'unknown' };
+    }
+    const upstream = [
+        ['llama.fi', 'defillama'],
+        ['coingecko.com', 'coingecko'],
+        ['dexscreener.com', 'dexscreener'],
+        ['pendle.finance', 'pendle']
+    ].find(([suffix]) => host === suffix || host.endsWith(`.${suffix}`))?.[1];
+    return upstream ? { upstream, chain: 'all' } : null;
+}
+
+function recordAxiosCall(config, outcome) {
+    const target = classifyUpstream(config);
+    if (!target || !config.metricsStartedAt) return;
+    recordUpstream(target.upstream, target.chain, outcome, (Date.now() - config.metricsStartedAt) / 1000);
+}
+
+axios.interceptors.request.use(config => {
+    config.metricsStartedAt = Date.now();
+    return config;
+});
+axios.interceptors.response.use(response => {
+    recordAxiosCall(response.config, response.status < 400 ? 'success' : 'error');
+    return response;
+}, error => {
+    recordAxiosCall(error.config, 'error');
+    return Promise.reject(error);
+});
+
+createCollector('ethaf_cache_requests_total', 'Cache lookups by result', 'counter', () =>
+    cacheRegistry.flatMap(({ namespace, counters }) => [
+        { labels: { cache: namespace, result: 'hit' }, value: counters.hits },
+        { labels: { cache: namespace, result: 'miss' }, value: counters.misses }
+    ]));
+createCollector('ethaf_cache_errors_total', 'Cache backend errors', 'counter', () =>
+    cacheRegistry.map(({ namespace, counters }) => ({ labels: { cache: namespace }, value: counters.errors })));
+createCollector('ethaf_cache_hit_ratio', 'Cache hits over lookups since start', 'gauge', () =>
+    cacheRegistry.map(({ namespace, counters }) => {
+        const lookups = counters.hits + counters.misses;
+        return { labels: { cache: namespace }, value: lookups ? counters.hits / lookups : 0 };
+    }));
+createCollector('ethaf_rpc_endpoint_up', 'RPC endpoint circuit closed (1) or open (0)', 'gauge', () =>
+    Object.entries(rpcEndpoints).flatMap(([chain, endpoints]) => endpoints.map(ep => ({
+        labels: { chain, endpoint: ep.label },
+        value: ep.circuitOpenUntil > Date.now() ? 0 : 1
+    }))));
+createCollector('ethaf_rpc_endpoint_score', 'RPC endpoint health score (0-1)', 'gauge', () =>
+    Object.entries(rpcEndpoints).flatMap(([chain, endpoints]) => endpoints.map(ep => ({
+        labels: { chain, endpoint: ep.label },
+        value: ep.score
+    }))));
+createCollector('ethaf_sse_subscribers', 'Open Server-Sent Events subscriptions', 'gauge', () =>
+    [{ value: subscribers.size }]);
+createCollector('ethaf_webhook_deliveries', 'Webhook deliveries in the store by status', 'gauge', () => {
+    const counts = { pending: 0, delivered: 0, failed: 0 };
+    webhookDeliveryStore.keys().forEach(id => counts[webhookDeliveryStore.get(id).status]++);
+    return Object.entries(counts).map(([status, value]) => ({ labels: { status }, value }));
+});
+createCollector('process_resident_memory_bytes', 'Resident memory size in bytes', 'gauge', () =>
+    [{ value: process.memoryUsage().rss }]);
+createCollector('nodejs_heap_used_bytes', 'V8 heap in use in bytes', 'gauge', () =>
+    [{ value: process.memoryUsage().heapUsed }]);
+createCollector('process_uptime_seconds', 'Seconds since the process started', 'gauge', () =>
+    [{ value: Math.round(process.uptime()) }]);
+
+function renderMetrics() {
+    return metricRegistry.map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.render()
+    ].join('\n')).join('\n') + '\n';
+}
+
+function metricsAuthRequired() {
+    return !!METRICS_TOKEN || API_KEYS.size > 0 || REQUIRE_API_KEY;
+}
+
+function isMetricsTokenValid(provided) {
+    return [METRICS_TOKEN, process.env.ADMIN_API_KEY].filter(Boolean).some(token =>
+        provided.length === token.length && crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(token)));
+}
+
+app.get('/metrics', (req, res) => {
+    if (metricsAuthRequired()) {
+        if (!METRICS_TOKEN && !process.env.ADMIN_API_KEY) {
+            return res.status(404).json({ error: 'Metrics need METRICS_TOKEN or ADMIN_API_KEY when API keys are enabled' });
+        }
+        const provided = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+        if (!isMetricsTokenValid(provided)) {
+            return res.status(403).json({ error: 'Metrics token required' });
+        }
+    }
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// Configuration
+// CORS_ORIGINS=https://eth.af,https://www.eth.af restricts browser origins (default: any)
+const CORS_ORIGINS = process.env.CORS_ORIGINS ?
+    process.env.CORS_ORIGINS.split(',').map(o => o.trim()).filter(Boolean) :
+    null;
+
+// TRUST_PROXY is how many proxy hops sit in front of the app (Railway has one),
+// or an Express trust list like "loopback, 10.0.0.0/8". Trusting every hop would
+// let clients pick their own req.ip through X-Forwarded-For.
+function parseTrustProxy(value) {
+    if (value === undefined || value === '') return 1;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    if (value === 'true' || value === 'false') return value === 'true';
+    return value;
 }
 
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+app.use(cors({
+    origin: CORS_ORIGINS || '*',
+    exposedHeaders: ['X-Request-Id', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After']
+}));
+app.use(express.json());
+
+// Set default axios timeout
+axios.defaults.timeout = 10000; // 10 seconds
+
 // ============================================
-// SPAM DETECTION (CONSERVATIVE)
+// PERSISTENT STORAGE
 // ============================================
 
-const SPAM_TOKEN_PATTERNS = [
-    /^Visit.*\.com$/i,
-    /^www\./i,
-    /^https?:\/\//i,
-    /zepe\.io/i
-];
+// Small key/value stores under DATA_DIR (mount a volume there on Railway to
+// keep them across deploys). Each store lives in memory and is persisted as an
+// append-only log of JSON lines, one per changed key, so a write costs the size
+// of the change rather than the whole store. Changes are batched and appended
+// asynchronously; once the log is STORE_COMPACT_RATIO times longer than the
+// number of live keys it's rewritten to a temp file and renamed into place.
+// Stores saved by older versions as <name>.json are imported on first load.
 
-const LEGITIMATE_TOKENS = [
-    'ETH', 'WETH', 'USDC', 'USDT', 'DAI', 'WBTC', 'LINK', 'UNI', 'AAVE',
-    'MKR', 'SNX', 'CRV', 'SUSHI', 'YFI', 'COMP', 'BAL', 'MATIC', 'BNB',
-    'AVAX', 'FTM', 'OP', 'ARB', 'PEPE', 'SHIB', 'DOGE', 'APE', 'SAND',
-    'MANA', 'AXS', 'GALA', 'ENJ', 'CHZ', 'BLUR', 'LDO', 'RPL', 'FXS',
-    'FRAX', 'GRT', 'ENS', 'BAT', 'ZRX', '1INCH', 'BUSD', 'TUSD', 'USDP',
-    'RAI', 'LUSD', 'MIM', 'CVX', 'CRO', 'QNT', 'RNDR', 'IMX', 'LRC',
-    'OCEAN', 'AGIX', 'FET', 'GNO', 'RDNT', 'GMX', 'GNS', 'PENDLE'
-];
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'data'));
+const STORE_WRITE_DELAY_MS = 1000;
+const STORE_COMPACT_RATIO = 4;
+const STORE_COMPACT_MIN_LINES = 1000;
+const jsonStores = [];
 
-function isLikelySpamToken(token) {
-    // Never filter known legitimate tokens
-    if (LEGITIMATE_TOKENS.includes(token.symbol?.toUpperCase())) {
-        return false;
-    }
+function createJsonStore(name) {
+    const file = path.join(DATA_DIR, `${name}.jsonl`);
+    const data = {};
+    const dirty = new Set();
+    let logLines = 0;
+    let writeTimer = null;
+    let writing = Promise.resolve();
     
-    // Never filter tokens with ANY value
-    if (token.usdValue > 0.01) {
-        return false;
+    const apply = (entry) => {
+        if ('v' in entry) {
+            data[entry.k] = entry.v;
+        } else {
+            delete data[entry.k];
+        }
+    };
+    
+    try {
+        fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+            if (!line) return;
+            logLines++;
+            try {
+                apply(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-append can leave a torn last line; the rest is intact
+                logger.warn('Skipping unreadable store entry', { store: name });
+            }
+        });
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn('Could not load store, starting empty', { store: name, error });
+        } else {
+            try {
+                Object.assign(data, JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${name}.json`), 'utf8')));
+                // Written out as a fresh log on the first save
+                logLines = Infinity;
+            } catch (legacyError) {
+                if (legacyError.code !== 'ENOENT') {
+                    logger.warn('Could not import legacy store', { store: name, error: legacyError });
+                }
+            }
+        }
     }
     
-    // Only check for the most obvious spam patterns
-    const tokenName = (token.name || '').toLowerCase();
-    const tokenSymbol = (token.symbol || '').toLowerCase();
+    const has = (key) => Object.prototype.hasOwnProperty.call(data, key);
+    const serialize = (key) => JSON.stringify(has(key) ? { k: key, v: data[key] } : { k: key }) + '\n';
     
-    // Only filter if it EXACTLY matches known spam patterns
-    if (tokenName.startsWith('visit ') && tokenName.includes('.com')) {
-        return true;
+    async function write() {
+        const liveKeys = Object.keys(data);
+        const compact = logLines + dirty.size > Math.max(STORE_COMPACT_MIN_LINES, liveKeys.length * STORE_COMPACT_RATIO);
+        if (dirty.size === 0 && !compact) return;
+        
+        // Serialized up front, so changes made while the write is in flight
+        // land in the next batch instead of racing this one
+        const keys = [...dirty];
+        dirty.clear();
+        const lines = (compact ? liveKeys : keys).map(serialize);
+        try {
+            await fs.promises.mkdir(DATA_DIR, { recursive: true });
+            if (compact) {
+                await fs.promises.writeFile(`${file}.tmp`, lines.join(''));
+                await fs.promises.rename(`${file}.tmp`, file);
+                logLines = lines.length;
+            } else {
+                await fs.promises.appendFile(file, lines.join(''));
+                logLines += lines.length;
+            }
+        } catch (error) {
+            logger.error('Failed to write store', { store: name, error });
+            keys.forEach(key => dirty.add(key));
+        }
     }
     
-    if (tokenName.startsWith('www.') || tokenName.startsWith('http://') || tokenName.startsWith('https://')) {
-        return true;
+    // Writes run one at a time; the returned promise settles once everything
+    // changed so far is on disk (or has failed and been re-queued)
+    function flush() {
+        if (writeTimer) {
+            clearTimeout(writeTimer);
+            writeTimer = null;
+        }
+        writing = writing.then(write);
+        return writing;
     }
     
-    // Check if name is just a raw Ethereum address
-    if (/^0x[a-fA-F0-9]{40}$/.test(token.name) && token.usdValue === 0) {
-        return true;
+    function markDirty(key) {
+        dirty.add(key);
+        if (writeTimer) return;
+        writeTimer = setTimeout(flush, STORE_WRITE_DELAY_MS);
+        writeTimer.unref();
     }
     
-    return false;
+    const store = {
+        get: (key) => data[key],
+        has,
+        set: (key, value) => {
+            data[key] = value;
+            markDirty(key);
+        },
+        delete: (key) => {
+            delete data[key];
+            markDirty(key);
+        },
+        keys: () => Object.keys(data),
+        size: () => Object.keys(data).length,
+        flush
+    };
+    
+    jsonStores.push(store);
+    return store;
 }
 
 // ============================================
-// MAIN WALLET ENDPOINT (KEEP WORKING VERSION)
+// CACHE BACKEND
 // ============================================
 
-app.get('/api/wallet/:addressOrEns', async (req, res) => {
-    const startTime = Date.now();
+// Response and price caches go through createCache, which is backed by Redis
+// when REDIS_URL is set (shared across replicas and restarts) and by an
+// in-process NodeCache otherwise. All methods are async; Redis errors are
+// logged and treated as misses so a cache outage never fails a request.
+
+const REDIS_URL = process.env.REDIS_URL || null;
+const REDIS_PREFIX = process.env.REDIS_PREFIX || 'ethaf';
+let redisClient = null;
+
+function getRedisClient() {
+    if (!redisClient) {
+        // Only required when configured, so local setups don't need Redis
+        const Redis = require('ioredis');
+        redisClient = new Redis(REDIS_URL, {
+            maxRetriesPerRequest: 1,
+            enableOfflineQueue: false
+        });
+        // Log each distinct error once rather than on every reconnect attempt
+        let lastError = null;
+        redisClient.on('error', (error) => {
+            if (error.message !== lastError) logger.error('Redis error', { error: error.message });
+            lastError = error.message;
+        });
+        redisClient.on('ready', () => {
+            lastError = null;
+            logger.info('Redis connected');
+        });
+    }
+    return redisClient;
+}
+
+function createMemoryBackend(defaultTtl) {
+    const store = new NodeCache({ stdTTL: defaultTtl });
+    
+    return {
+        get: async (key) => store.get(key),
+        mget: async (keys) => keys.map(key => store.get(key)),
+        set: async (key, value, ttl) => {
+            store.set(key, value, ttl ?? defaultTtl);
+        },
+        del: async (keys) => {
+            store.del(keys);
+        },
+        delPrefix: async (prefix) => {
+            const keys = store.keys().filter(key => key.startsWith(prefix));
+            store.del(keys);
+            return keys.length;
+        },
+        incr: async (key, ttl) => {
+            // Keep the original expiry so a counter's window doesn't slide
+            const expires = store.getTtl(key);
+            const value = (store.get(key) || 0) + 1;
+            store.set(key, value, expires ? Math.max(1, Math.ceil((expires - Date.now()) / 1000)) : ttl ?? defaultTtl);
+            return value;
+        },
+        stats: async () => ({ keys: store.keys().length })
+    };
+}
+
+function createRedisBackend(namespace, defaultTtl) {
+    const client = getRedisClient();
+    const fullKey = (key) => `${REDIS_PREFIX}:${namespace}:${key}`;
+    
+    // Missing keys are undefined; a stored null (e.g. an unpriceable token) stays null
+    const decode = (raw) => raw === null ? undefined : JSON.parse(raw);
+    
+    return {
+        get: async (key) => decode(await client.get(fullKey(key))),
+        mget: async (keys) => keys.length ? (await client.mget(keys.map(fullKey))).map(decode) : [],
+        set: async (key, value, ttl) => {
+            await client.set(fullKey(key), JSON.stringify(value), 'EX', ttl ?? defaultTtl);
+        },
+        del: async (keys) => {
+            const list = [].concat(keys);
+            if (list.length) await client.del(list.map(fullKey));
+        },
+        delPrefix: async (prefix) => {
+            let cursor = '0';
+            let deleted = 0;
+            do {
+                const [next, keys] = await client.scan(cursor, 'MATCH', `${fullKey(prefix)}*`, 'COUNT', 200);
+                if (keys.length) deleted += await client.del(keys);
+                cursor = next;
+            } while (cursor !== '0');
+            return deleted;
+        },
+        incr: async (key, ttl) => {
+            const value = await client.incr(fullKey(key));
+            if (value === 1) await client.expire(fullKey(key), ttl ?? defaultTtl);
+            return value;
+        },
+        stats: async () => ({ status: client.status })
+    };
+}
+
+function createCache(namespace, defaultTtl) {
+    const backend = REDIS_URL ? createRedisBackend(namespace, defaultTtl) : createMemoryBackend(defaultTtl);
+    const counters = { hits: 0, misses: 0, errors: 0 };
+    cacheRegistry.push({ namespace, counters });
+    
+    const guard = (operation, fallback) => async (...args) => {
+        try {
+            return await backend[operation](...args);
+        } catch (error) {
+            counters.errors++;
+            logger.warn('Cache operation failed', { cache: namespace, operation, error });
+            return fallback;
+        }
+    };
+    const get = guard('get', undefined);
+    const mget = guard('mget', null);
+    
+    return {
+        backend: REDIS_URL ? 'redis' : 'memory',
+        get: async (key) => {
+            const value = await get(key);
+            counters[value === undefined ? 'misses' : 'hits']++;
+            return value;
+        },
+        mget: async (keys) => {
+            const values = (await mget(keys)) || keys.map(() => undefined);
+            values.forEach(value => counters[value === undefined ? 'misses' : 'hits']++);
+            return values;
+        },
+        set: guard('set'),
+        del: guard('del'),
+        delPrefix: guard('delPrefix', 0),
+        // Fails open: a cache outage shouldn't block every request
+        incr: guard('incr', 0),
+        stats: async () => ({
+            backend: REDIS_URL ? 'redis' : 'memory',
+            ...counters,
+            ...(await guard('stats', {})())
+        })
+    };
+}
+
+// Requests for the same key that arrive while a fetch is running share it
+const inflightRequests = new Map();
+
+function coalesce(key, fetcher) {
+    if (inflightRequests.has(key)) return inflightRequests.get(key);
+    
+    const promise = Promise.resolve()
+        .then(fetcher)
+        .finally(() => inflightRequests.delete(key));
+    inflightRequests.set(key, promise);
+    return promise;
+}
+
+const cache = createCache('cache', 300);
+const priceCache = createCache('prices', 60);
+
+// ============================================
+// ACCESS CONTROL & USAGE
+// ============================================
+
+// API_KEYS=name:key,other:key2 enables keys, sent as X-API-Key or ?apiKey=
+// (EventSource can't set headers). With REQUIRE_API_KEY=true anonymous calls
+// are rejected; otherwise they're allowed under the per-IP limit. Limits are
+// requests per minute (API_KEY_RATE_LIMIT / IP_RATE_LIMIT) plus an optional
+// API_KEY_DAILY_QUOTA. Rate limit and quota counters live in the cache backend,
+// so they're shared across replicas when Redis is configured. Usage is recorded
+// per key per day in each instance's usage store (reports are per replica) and
+// exposed at /api/admin/usage to callers holding ADMIN_API_KEY. Days older than
+// USAGE_RETENTION_DAYS are dropped whenever the date rolls over.
+
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 120;
+const IP_RATE_LIMIT = parseInt(process.env.IP_RATE_LIMIT) || 30;
+const API_KEY_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA) || 0;
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+const USAGE_RETENTION_DAYS = 90;
+const UNMETERED_PATHS = ['/', '/api/health'];
+
+function loadApiKeys() {
+    const keys = new Map();
+    (process.env.API_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const separator = entry.indexOf(':');
+        const name = separator > 0 ? entry.slice(0, separator) : `key_${entry.slice(0, 6)}`;
+        const key = separator > 0 ? entry.slice(separator + 1) : entry;
+        keys.set(key, name);
+    });
+    return keys;
+}
+
+const API_KEYS = loadApiKeys();
+const rateLimitCache = createCache('ratelimit', RATE_LIMIT_WINDOW_SECONDS);
+const usageStore = createJsonStore('usage');
+let usageDay = null;
+
+function getApiKey(req) {
+    return req.get('x-api-key') || req.query.apiKey || null;
+}
+
+function recordUsage(client, route, status) {
+    const day = new Date().toISOString().slice(0, 10);
+    if (day !== usageDay) {
+        usageDay = day;
+        pruneUsage();
+    }
+    
+    const key = `${day}:${client}`;
+    const usage = usageStore.get(key) || { requests: 0, rejected: 0, errors: 0, routes: {} };
+    
+    usage.requests++;
+    if (status === 429 || status === 401) usage.rejected++;
+    else if (status >= 500) usage.errors++;
+    usage.routes[route] = (usage.routes[route] || 0) + 1;
+    usageStore.set(key, usage);
+}
+
+function pruneUsage() {
+    const cutoff = new Date(Date.now() - USAGE_RETENTION_DAYS * 86400000).toISOString().slice(0, 10);
+    usageStore.keys().filter(key => key.slice(0, 10) < cutoff).forEach(key => usageStore.delete(key));
+}
+
+// Fixed one-minute windows; returns { allowed, limit, remaining, resetSeconds }
+async function checkRateLimit(id, limit) {
+    const windowStart = Math.floor(Date.now() / 1000 / RATE_LIMIT_WINDOW_SECONDS) * RATE_LIMIT_WINDOW_SECONDS;
+    const count = await rateLimitCache.incr(`${id}_${windowStart}`, RATE_LIMIT_WINDOW_SECONDS);
+    return {
+        allowed: count <= limit,
+        limit,
+        remaining: Math.max(0, limit - count),
+        resetSeconds: windowStart + RATE_LIMIT_WINDOW_SECONDS - Math.floor(Date.now() / 1000)
+    };
+}
+
+async function accessControl(req, res, next) {
+    // Admin routes authenticate separately and shouldn't count against anyone
+    if (UNMETERED_PATHS.includes(req.path) || req.path.startsWith('/api/admin/') || req.method === 'OPTIONS') return next();
     
     try {
-        let address = req.params.addressOrEns;
-        let ensName = null;
+        const apiKey = getApiKey(req);
+        const keyName = apiKey ? API_KEYS.get(apiKey) : null;
         
-        console.log(`\n${'='.repeat(60)}`);
-        console.log(`🔍 REQUEST: ${address}`);
-        console.log(`⏰ Time: ${new Date().toISOString()}`);
-        console.log(`${'='.repeat(60)}`);
-        
-        // Check cache first
-        const cacheKey = `wallet_${address.toLowerCase()}`;
-        const cached = cache.get(cacheKey);
-        if (cached) {
-            console.log('✅ Returning cached data');
-            return res.json(cached);
+        if (apiKey && !keyName) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        if (!keyName && REQUIRE_API_KEY) {
+            return res.status(401).json({ error: 'API key required (X-API-Key header or apiKey query parameter)' });
         }
         
-        // Resolve ENS with timeout
-        if (address.toLowerCase().endsWith('.eth')) {
-            ensName = address;
-            console.log('📝 Resolving ENS...');
-            
-            try {
-                const resolvePromise = providers.ethereum.resolveName(address);
-                const timeoutPromise = new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('ENS resolution timeout')), 5000)
-                );
-                
-                address = await Promise.race([resolvePromise, timeoutPromise]);
-                
-                if (!address) {
-                    console.log('❌ ENS resolution failed');
-                    return res.status(400).json({ error: 'Could not resolve ENS name' });
-                }
-                
-                console.log(`✅ ENS resolved: ${ensName} → ${address}`);
-            } catch (error) {
-                console.error('❌ ENS error:', error.message);
-                return res.status(400).json({ error: 'ENS resolution failed' });
-            }
-        }
-        
-        // Validate address
-        if (!ethers.isAddress(address)) {
-            return res.status(400).json({ error: 'Invalid Ethereum address' });
-        }
-        
-        // Fetch data with timeouts and error handling
-        console.log('📊 Fetching wallet data...');
-        
-        // Create promises with timeouts
-        const fetchPromises = [
-            // Ethereum tokens - KEEP ORIGINAL TIMEOUT
-            Promise.race([
-                fetchTokensSafe(address, 'ethereum'),
-                new Promise((resolve) => setTimeout(() => resolve([]), 15000))
-            ]),
-            
-            // Base tokens - KEEP ORIGINAL TIMEOUT
-            Promise.race([
-                fetchTokensSafe(address, 'base'),
-                new Promise((resolve) => setTimeout(() => resolve([]), 10000))
-            ]),
-            
-            // Polygon tokens
-            Promise.race([
-                fetchTokensSafe(address, 'polygon'),
-                new Promise((resolve) => setTimeout(() => resolve([]), 10000))
-            ]),
-            
-            // Arbitrum tokens
-            Promise.race([
-                fetchTokensSafe(address, 'arbitrum'),
-                new Promise((resolve) => setTimeout(() => resolve([]), 10000))
-            ]),
-            
-            // Optimism tokens
-            Promise.race([
-                fetchTokensSafe(address, 'optimism'),
-                new Promise((resolve) => setTimeout(() => resolve([]), 10000))
-            ]),
-            
-            // NFTs - KEEP ORIGINAL
-            Promise.race([
-                fetchNFTsSafe(address),
-                new Promise((resolve) => setTimeout(() => resolve([]), 10000))
-            ]),
-            
-            // Activity - KEEP ORIGINAL
-            Promise.race([
-                fetchActivitySafe(address),
-                new Promise((resolve) => setTimeout(() => resolve([]), 5000))
-            ])
-        ];
-        
-        // Wait for all with error handling
-        const [ethereumTokens, baseTokens, polygonTokens, arbitrumTokens, optimismTokens, nfts, activity] = await Promise.all(fetchPromises);
+        // req.ip is the address seen by the first trusted proxy (see TRUST_PROXY)
+        const client = keyName || `ip:${req.ip}`;
+        req.apiClient = client;
+        res.on('finish', () => {
+            recordUsage(client, `${req.method} ${getRoutePath(req)}`, res.statusCode);
+        });
         
-        console.log(`\n📈 Data fetched:`);
-        console.log(`  • Ethereum tokens: ${ethereumTokens.length}`);
-        console.log(`  • Base tokens: ${baseTokens.length}`);
-        console.log(`  • Polygon tokens: ${polygonTokens.length}`);
-        console.log(`  • Arbitrum tokens: ${arbitrumTokens.length}`);
-        console.log(`  • Optimism tokens: ${optimismTokens.length}`);
-        console.log(`  • NFT collections: ${nfts.length}`);
-        console.log(`  • Recent transactions: ${activity.length}`);
+        const limit = await checkRateLimit(client, keyName ? API_KEY_RATE_LIMIT : IP_RATE_LIMIT);
+        res.set({
+            'X-RateLimit-Limit': limit.limit,
+            'X-RateLimit-Remaining': limit.remaining,
+            'X-RateLimit-Reset': limit.resetSeconds
+        });
         
-        // Combine all tokens
-        const allTokens = [...ethereumTokens, ...baseTokens, ...polygonTokens, ...arbitrumTokens, ...optimismTokens];
+        if (!limit.allowed) {
+            res.set('Retry-After', limit.resetSeconds);
+            return res.status(429).json({ error: 'Rate limit exceeded', retryAfter: limit.resetSeconds });
+        }
         
-        // Filter spam tokens
-        const validTokens = allTokens.filter(token => {
-            const isSpam = isLikelySpamToken(token);
-            if (isSpam) {
-                console.log(`  🚫 Filtered spam: ${token.name} (${token.symbol})`);
+        // Counted in the shared cache (not the per-instance usage store) so every replica enforces the same quota
+        if (keyName && API_KEY_DAILY_QUOTA) {
+            const used = await rateLimitCache.incr(`quota_${keyName}_${new Date().toISOString().slice(0, 10)}`, 90000);
+            if (used > API_KEY_DAILY_QUOTA) {
+                return res.status(429).json({ error: 'Daily quota exceeded', quota: API_KEY_DAILY_QUOTA });
             }
-            return !isSpam;
-        });
-        
-        console.log(`  • Tokens after spam filter: ${validTokens.length} (filtered ${allTokens.length - validTokens.length})`);
+        }
         
-        // Get prices with timeout
-        console.log('💰 Fetching prices...');
-        await Promise.race([
-            fetchPricesForTokens(validTokens),
-            new Promise((resolve) => setTimeout(() => resolve(), 5000))
-        ]);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+app.use(accessControl);
+
+function requireAdmin(req, res, next) {
+    const adminKey = process.env.ADMIN_API_KEY;
+    const provided = req.get('x-admin-key') || (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    
+    if (!adminKey) {
+        return res.status(404).json({ error: 'Admin API not enabled' });
+    }
+    if (provided.length !== adminKey.length || !crypto.timingSafeEqual(Buffer.from(provided), Buffer.from(adminKey))) {
+        return res.status(403).json({ error: 'Admin key required' });
+    }
+    next();
+}
+
+app.get('/api/admin/usage', requireAdmin, (req, res) => {
+    const days = Math.min(parseInt(req.query.days) || 7, USAGE_RETENTION_DAYS);
+    const since = new Date(Date.now() - (days - 1) * 86400000).toISOString().slice(0, 10);
+    
+    const byDay = {};
+    const totals = {};
+    usageStore.keys().filter(key => key.slice(0, 10) >= since).sort().forEach(key => {
+        const day = key.slice(0, 10);
+        const client = key.slice(11);
+        const usage = usageStore.get(key);
+        (byDay[day] = byDay[day] || {})[client] = usage;
         
-        // Calculate total value
-        const totalValue = validTokens.reduce((sum, t) => sum + (t.usdValue || 0), 0);
+        const total = totals[client] = totals[client] || { requests: 0, rejected: 0, errors: 0 };
+        total.requests += usage.requests;
+        total.rejected += usage.rejected;
+        total.errors += usage.errors;
+    });
+    
+    res.json({
+        days,
+        limits: {
+            apiKeyPerMinute: API_KEY_RATE_LIMIT,
+            ipPerMinute: IP_RATE_LIMIT,
+            apiKeyDailyQuota: API_KEY_DAILY_QUOTA || null,
+            requireApiKey: REQUIRE_API_KEY
+        },
+        keys: [...API_KEYS.values()],
+        totals,
+        byDay
+    });
+});
+
+// ============================================
+// CHAIN REGISTRY
+// ============================================
+
+// Chains are defined in config/chains.json (override the path with CHAINS_CONFIG).
+// ENABLED_CHAINS=ethereum,base,linea overrides the per-chain "enabled" flags.
+// RPC URL templates may reference env vars as ${NAME}.
+
+function interpolateEnv(template) {
+    let missing = false;
+    const value = template.replace(/\$\{(\w+)\}/g, (_, name) => {
+        if (!process.env[name]) missing = true;
+        return process.env[name] || '';
+    });
+    return missing ? null : value;
+}
+
+function loadChainRegistry() {
+    const configPath = path.resolve(process.env.CHAINS_CONFIG || path.join(__dirname, 'config', 'chains.json'));
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    
+    const enabledOverride = process.env.ENABLED_CHAINS ?
+        process.env.ENABLED_CHAINS.split(',').map(c => c.trim().toLowerCase()).filter(Boolean) :
+        null;
+    
+    return config.chains
+        .filter(chain => enabledOverride ? enabledOverride.includes(chain.id) : chain.enabled !== false)
+        .map(chain => ({
+            ...chain,
+            timeout: chain.timeout || 10000
+        }));
+}
+
+const CHAINS = loadChainRegistry();
+const CHAIN_MAP = Object.fromEntries(CHAINS.map(chain => [chain.id, chain]));
+
+// ============================================
+// RPC ENDPOINT POOL (FAILOVER + HEALTH TRACKING)
+// ============================================
+
+// Each chain has an ordered list of RPC endpoints (config "rpcUrls", or
+// RPC_URLS_<CHAIN>=url1,url2 to override). Calls go to the healthiest endpoint
+// first and fall through the list on failure. An endpoint that fails
+// RPC_FAILURE_THRESHOLD times in a row has its circuit opened for
+// RPC_COOLDOWN_MS. After that it's half-open: exactly one caller gets a trial
+// request through (the others skip it), and the circuit closes if the trial
+// succeeds or reopens for another cooldown if it fails.
+
+const RPC_FAILURE_THRESHOLD = parseInt(process.env.RPC_FAILURE_THRESHOLD) || 3;
+const RPC_COOLDOWN_MS = parseInt(process.env.RPC_COOLDOWN_MS) || 30000;
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS) || 5000;
+// Most providers cap JSON-RPC batches (public nodes at around 10); larger
+// batches are sent as several requests. RPC_MAX_BATCH_SIZE overrides all of them.
+const RPC_BATCH_LIMITS = { alchemy: 50, infura: 50, rpc: 10 };
+
+const rpcEndpoints = {};
+
+function getRpcUrlTemplates(chain) {
+    const override = process.env[`RPC_URLS_${chain.id.toUpperCase()}`];
+    if (override) {
+        return override.split(',').map(url => url.trim()).filter(Boolean);
+    }
+    return chain.rpcUrls || [];
+}
+
+function createRpcEndpoint(chain, url) {
+    const host = new URL(url).host;
+    const request = new ethers.FetchRequest(url);
+    request.timeout = RPC_TIMEOUT_MS;
+    rpcEndpointUrls.add(url);
+    
+    return {
+        url,
+        chain: chain.id,
+        label: host,
+        isAlchemy: host.endsWith('.alchemy.com'),
+        // Upstream label for metrics
+        upstream: host.endsWith('.alchemy.com') ? 'alchemy' : (host.endsWith('.infura.io') ? 'infura' : 'rpc'),
+        batchLimit: parseInt(process.env.RPC_MAX_BATCH_SIZE) ||
+            RPC_BATCH_LIMITS[host.endsWith('.alchemy.com') ? 'alchemy' : (host.endsWith('.infura.io') ? 'infura' : 'rpc')],
+        provider: new ethers.JsonRpcProvider(request, chain.chainId, {
+            staticNetwork: true,
+            batchMaxCount: 1
+        }),
+        score: 1,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        latencyMs: null,
+        circuitOpenUntil: 0,
+        trialInFlight: false,
+        lastError: null
+    };
+}
+
+CHAINS.forEach(chain => {
+    rpcEndpoints[chain.id] = [];
+    
+    getRpcUrlTemplates(chain).forEach(template => {
+        const url = interpolateEnv(template);
+        if (!url) return;
         
-        // Sort by value
-        validTokens.sort((a, b) => (b.usdValue || 0) - (a.usdValue || 0));
+        try {
+            rpcEndpoints[chain.id].push(createRpcEndpoint(chain, url));
+        } catch (error) {
+            logger.warn('RPC endpoint initialization failed', { chain: chain.id, error });
+        }
+    });
+    
+    if (rpcEndpoints[chain.id].length === 0) {
+        logger.warn('Chain has no usable RPC endpoints', { chain: chain.id });
+    }
+});
+
+// Errors that say something about the endpoint (timeouts, HTTP failures, rate
+// limits) rather than about the request itself (reverts, bad params)
+function isEndpointFailure(error) {
+    if (error.isEndpointFailure !== undefined) return error.isEndpointFailure;
+    return !['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'BAD_DATA', 'UNCONFIGURED_NAME'].includes(error.code);
+}
+
+// ethers puts the full request URL into its error messages, and for keyed
+// providers (Alchemy, Infura) that URL carries the API key. Endpoint failures
+// are stored, logged and rethrown in this form instead: a short reason with
+// URLs replaced by the endpoint's host, the error code and the HTTP status.
+function redactRpcError(endpoint, error) {
+    const reason = String(error.shortMessage || error.message || 'RPC request failed')
+        .split(endpoint.url).join(endpoint.label)
+        .replace(/https?:\/\/[^\s"'<>]+/g, endpoint.label);
+    const redacted = new Error(reason.length > 200 ? `${reason.slice(0, 200)}…` : reason);
+    redacted.code = error.code;
+    redacted.httpStatus = error.response?.status || parseInt(error.info?.responseStatus) || undefined;
+    redacted.isEndpointFailure = true;
+    return redacted;
+}
+
+function recordRpcSuccess(endpoint, latencyMs) {
+    endpoint.successes++;
+    endpoint.consecutiveFailures = 0;
+    endpoint.circuitOpenUntil = 0;
+    endpoint.score = endpoint.score * 0.8 + 0.2;
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : Math.round(endpoint.latencyMs * 0.8 + latencyMs * 0.2);
+}
+
+function recordRpcFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.score = endpoint.score * 0.8;
+    endpoint.lastError = error.message;
+    
+    if (endpoint.consecutiveFailures >= RPC_FAILURE_THRESHOLD) {
+        endpoint.circuitOpenUntil = Date.now() + RPC_COOLDOWN_MS;
+        logger.warn('RPC circuit opened', { chain: endpoint.chain, endpoint: endpoint.label, failures: endpoint.consecutiveFailures });
+    }
+}
+
+// Endpoints ordered by health; open circuits are skipped until their cooldown
+// ends, half-open ones while their trial request is in flight
+function getAvailableEndpoints(chainId, { alchemyOnly = false } = {}) {
+    const now = Date.now();
+    return (rpcEndpoints[chainId] || [])
+        .filter(ep => !alchemyOnly || ep.isAlchemy)
+        .filter(ep => ep.circuitOpenUntil <= now && !ep.trialInFlight)
+        .sort((a, b) => b.score - a.score);
+}
+
+async function withRpcFailover(chainId, operation, options = {}) {
+    let lastError = null;
+    for (const endpoint of getAvailableEndpoints(chainId, options)) {
+        // Re-checked here: another caller may have taken the trial (or reopened
+        // the circuit) while earlier endpoints in the list were being tried
+        const trial = endpoint.circuitOpenUntil > 0;
+        if (trial) {
+            if (endpoint.trialInFlight || endpoint.circuitOpenUntil > Date.now()) continue;
+            endpoint.trialInFlight = true;
+        }
         
-        const responseData = {
-            address,
-            ensName,
-            totalValue,
-            tokens: validTokens,
-            tokensByChain: {
-                ethereum: validTokens.filter(t => t.chain === 'ethereum'),
-                base: validTokens.filter(t => t.chain === 'base'),
-                polygon: validTokens.filter(t => t.chain === 'polygon'),
-                arbitrum: validTokens.filter(t => t.chain === 'arbitrum'),
-                optimism: validTokens.filter(t => t.chain === 'optimism')
-            },
+        const started = Date.now();
+        try {
+            const result = await operation(endpoint);
+            recordRpcSuccess(endpoint, Date.now() - started);
+            recordUpstream(endpoint.upstream, chainId, 'success', (Date.now() - started) / 1000);
+            return result;
+        } catch (error) {
+            // A revert or bad request still means the endpoint answered
+            const failed = isEndpointFailure(error);
+            recordUpstream(endpoint.upstream, chainId, failed ? 'error' : 'success', (Date.now() - started) / 1000);
+            if (!failed) {
+                recordRpcSuccess(endpoint, Date.now() - started);
+                throw error;
+            }
+            lastError = redactRpcError(endpoint, error);
+            recordRpcFailure(endpoint, lastError);
+            logger.warn('RPC call failed', { chain: chainId, endpoint: endpoint.label, error: lastError });
+        } finally {
+            if (trial) endpoint.trialInFlight = false;
+        }
+    }
+    
+    if (!lastError) {
+        lastError = new Error(`No healthy RPC endpoints for ${chainId}`);
+        lastError.code = 'NO_ENDPOINTS';
+    }
+    throw lastError;
+}
+
+// Raw JSON-RPC call with failover, for methods ethers doesn't wrap (alchemy_*)
+async function rpcRequest(chainId, method, params, options = {}) {
+    return withRpcFailover(chainId, async (endpoint) => {
+        const response = await axios.post(endpoint.url, {
+            jsonrpc: '2.0',
+            method,
+            params,
+            id: 1
+        }, {
+            timeout: options.timeout || RPC_TIMEOUT_MS
+        });
+        
+        if (response.data.error) {
+            const error = new Error(response.data.error.message || 'JSON-RPC error');
+            error.code = response.data.error.code;
+            // -32005 / 429 are rate limits; anything else is the request's fault
+            error.isEndpointFailure = [-32005, 429].includes(response.data.error.code);
+            throw error;
+        }
+        
+        return response.data.result;
+    }, options);
+}
+
+// JSON-RPC batch ([{ method, params }]) with failover, split into chunks of
+// the endpoint's batchLimit. Returns results in request order; individual
+// errors come back as null.
+async function rpcBatchRequest(chainId, requests, options = {}) {
+    if (requests.length === 0) return [];
+    
+    return withRpcFailover(chainId, async (endpoint) => {
+        const results = new Array(requests.length).fill(null);
+        for (let offset = 0; offset < requests.length; offset += endpoint.batchLimit) {
+            const response = await axios.post(endpoint.url, requests.slice(offset, offset + endpoint.batchLimit).map((request, i) => ({
+                jsonrpc: '2.0',
+                method: request.method,
+                params: request.params,
+                id: offset + i
+            })), {
+                timeout: options.timeout || RPC_TIMEOUT_MS
+            });
+            
+            if (!Array.isArray(response.data)) {
+                const error = new Error(response.data?.error?.message || 'Batch requests not supported');
+                error.isEndpointFailure = true;
+                throw error;
+            }
+            
+            response.data.forEach(item => {
+                if (!item.error) results[item.id] = item.result;
+            });
+        }
+        return results;
+    }, options);
+}
+
+function getRpcHealth() {
+    const now = Date.now();
+    return Object.fromEntries(CHAINS.map(chain => [
+        chain.id,
+        (rpcEndpoints[chain.id] || []).map(ep => ({
+            endpoint: ep.label,
+            status: ep.circuitOpenUntil > now ? 'circuit_open' :
+                (ep.circuitOpenUntil > 0 ? 'half_open' : (ep.consecutiveFailures > 0 ? 'degraded' : 'healthy')),
+            score: Math.round(ep.score * 100) / 100,
+            latencyMs: ep.latencyMs,
+            successes: ep.successes,
+            failures: ep.failures,
+            lastError: ep.lastError
+        }))
+    ]));
+}
+
+// ============================================
+// SPAM CLASSIFIER
+// ============================================
+
+// Every token gets a 0-100 spam score plus the reasons behind it. Contract
+// allowlists and the denylist live in config/token-lists.json (override with
+// TOKEN_LISTS_CONFIG); denylist addresses are written as "chain:0x...".
+// Tokens scoring SPAM_SCORE_THRESHOLD or more are filtered from responses
+// unless ?includeSpam=true is passed.
+
+const SPAM_SCORE_THRESHOLD = parseInt(process.env.SPAM_SCORE_THRESHOLD) || 50;
+
+const LEGITIMATE_TOKENS = [
+    'ETH', 'WETH', 'USDC', 'USDT', 'DAI', 'WBTC', 'LINK', 'UNI', 'AAVE',
+    'MKR', 'SNX', 'CRV', 'SUSHI', 'YFI', 'COMP', 'BAL', 'MATIC', 'BNB',
+    'AVAX', 'FTM', 'OP', 'ARB', 'PEPE', 'SHIB', 'DOGE', 'APE', 'SAND',
+    'MANA', 'AXS', 'GALA', 'ENJ', 'CHZ', 'BLUR', 'LDO', 'RPL', 'FXS',
+    'FRAX', 'GRT', 'ENS', 'BAT', 'ZRX', '1INCH', 'BUSD', 'TUSD', 'USDP',
+    'RAI', 'LUSD', 'MIM', 'CVX', 'CRO', 'QNT', 'RNDR', 'IMX', 'LRC',
+    'OCEAN', 'AGIX', 'FET', 'GNO', 'RDNT', 'GMX', 'GNS', 'PENDLE'
+];
+
+function loadTokenLists() {
+    const configPath = path.resolve(process.env.TOKEN_LISTS_CONFIG || path.join(__dirname, 'config', 'token-lists.json'));
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    
+    const trustedTokens = {};
+    const trustedSymbols = {};
+    Object.entries(config.trustedTokens || {}).forEach(([chain, tokens]) => {
+        trustedTokens[chain] = new Set(Object.keys(tokens).map(a => a.toLowerCase()));
+        trustedSymbols[chain] = new Set(Object.values(tokens).map(s => s.toUpperCase()));
+    });
+    
+    return {
+        trustedTokens,
+        trustedSymbols,
+        deniedAddresses: new Set((config.denylist?.addresses || []).map(a => a.toLowerCase())),
+        deniedPatterns: (config.denylist?.namePatterns || []).map(p => new RegExp(p, 'i'))
+    };
+}
+
+const TOKEN_LISTS = loadTokenLists();
+
+// Cyrillic and Greek letters that render like Latin ones ("USDС" with a Cyrillic С)
+const HOMOGLYPHS = {
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's',
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P', 'С': 'C', 'Т': 'T',
+    'Х': 'X', 'І': 'I', 'Ѕ': 'S', 'Ј': 'J',
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O',
+    'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X', 'ο': 'o', 'ν': 'v', 'ι': 'i'
+};
+
+// Explicit links always count; a bare domain only counts for tokens without a
+// trusted market price, since real projects use them as names (yearn.finance, Curve.fi)
+const URL_PATTERN = /(https?:\/\/|www\.|t\.me\/)/i;
+const DOMAIN_PATTERN = /\b[a-z0-9-]+\.(com|io|xyz|org|net|app|finance|site|online|top|vip|cc|co|fi|gift|club|claims?|pro|live|lol)\b/i;
+const LURE_PATTERN = /\b(visit|claim|claimable|reward|rewards|airdrop|voucher|bonus|free|redeem|eligible)\b/i;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+function normalizeHomoglyphs(text) {
+    return text.normalize('NFKC').replace(/./gu, ch => HOMOGLYPHS[ch] || ch);
+}
+
+// Look-alikes mixed into a Latin word. Names written entirely in Cyrillic or
+// Greek are legitimate; a symbol that only imitates a known one is caught by
+// the impersonation check, which compares the normalized symbol.
+function hasHomoglyphs(text) {
+    return text.split(/\s+/).some(word => /\p{Script=Latin}/u.test(word) && [...word].some(ch => HOMOGLYPHS[ch]));
+}
+
+function isTrustedToken(token) {
+    return !!token.contractAddress &&
+        !!TOKEN_LISTS.trustedTokens[token.chain]?.has(token.contractAddress.toLowerCase());
+}
+
+function classifyToken(token, { pricingAvailable = true } = {}) {
+    const reasons = [];
+    let score = 0;
+    const add = (points, reason) => {
+        score += points;
+        reasons.push(reason);
+    };
+    
+    if (token.isNative) {
+        return { score: 0, reasons: ['native asset'] };
+    }
+    
+    if (isTrustedToken(token)) {
+        return { score: 0, reasons: ['allowlisted contract'] };
+    }
+    
+    if (token.contractAddress && TOKEN_LISTS.deniedAddresses.has(`${token.chain}:${token.contractAddress.toLowerCase()}`)) {
+        return { score: 100, reasons: ['denylisted contract'] };
+    }
+    
+    const name = token.name || '';
+    const symbol = token.symbol || '';
+    const text = `${name} ${symbol}`;
+    
+    if (TOKEN_LISTS.deniedPatterns.some(p => p.test(name) || p.test(symbol))) {
+        add(60, 'name matches denylist pattern');
+    }
+    
+    const trustedPrice = token.price > 0 && token.priceSource !== 'dexscreener' && token.priceConfidence >= 0.8;
+    
+    if (URL_PATTERN.test(text) || (!trustedPrice && DOMAIN_PATTERN.test(text))) {
+        add(50, 'URL in name or symbol');
+    }
+    
+    if (LURE_PATTERN.test(text)) {
+        add(25, 'airdrop/claim lure wording');
+    }
+    
+    if (EMOJI_PATTERN.test(text)) {
+        add(15, 'emoji in name or symbol');
+    }
+    
+    if (hasHomoglyphs(text)) {
+        add(35, 'look-alike (homoglyph) characters');
+    }
+    
+    if (/^0x[a-fA-F0-9]{40}$/.test(name)) {
+        add(40, 'name is a raw address');
+    }
+    
+    // A well-known symbol on a contract that isn't the known one. Where the
+    // allowlist has no contract for that symbol on this chain (bridged LINK on
+    // Arbitrum, say) a trusted market price is taken as proof it's the real one.
+    const normalizedSymbol = normalizeHomoglyphs(symbol).trim().toUpperCase();
+    const knownOnChain = !!TOKEN_LISTS.trustedSymbols[token.chain]?.has(normalizedSymbol);
+    if (knownOnChain || (LEGITIMATE_TOKENS.includes(normalizedSymbol) && !trustedPrice)) {
+        add(35, `claims ${normalizedSymbol} symbol but is not the known contract`);
+    }
+    
+    if (token.airdrop) {
+        add(30, `airdrop-style transfer (sent to ${token.airdrop.recipients} wallets in one transaction)`);
+    }
+    
+    // Pricing signals - skipped when the price sources were down, so an outage
+    // doesn't make every unpriced token look like spam
+    if (!token.price && pricingAvailable) {
+        add(15, 'no market price');
+    } else if (token.liquidityUsd !== undefined && token.liquidityUsd < 1000) {
+        add(20, 'negligible DEX liquidity');
+    }
+    
+    if (trustedPrice && token.usdValue > 1) {
+        score -= 50;
+        reasons.push('priced by a trusted source');
+    }
+    
+    // Airdrop spam tends to drop large round amounts of a worthless token
+    if (!token.price && pricingAvailable && /^[1-9][05]?0{2,}(\.0+)?$/.test(token.balance || '')) {
+        add(10, 'airdrop-style round balance');
+    }
+    
+    return { score: Math.max(0, Math.min(100, score)), reasons };
+}
+
+// Airdrop spam is pushed to thousands of wallets at once, unasked. For up to
+// AIRDROP_CHECK_MAX_TOKENS tokens that aren't allowlisted, the transaction that
+// delivered the token is read back: if it sent that token to
+// AIRDROP_MIN_RECIPIENTS or more addresses and the wallet didn't send it, the
+// token gets token.airdrop = { txHash, recipients }. Delivering transactions
+// come from the log scan when tokens were discovered that way, otherwise from
+// Alchemy's transfer index. A failed lookup only skips the signal.
+const AIRDROP_CHECK_MAX_TOKENS = parseInt(process.env.AIRDROP_CHECK_MAX_TOKENS) || 25;
+const AIRDROP_MIN_RECIPIENTS = 10;
+
+// Returns Map(lowercase contract => hash of the first transfer into the wallet)
+async function findInboundTransfers(address, chain, contracts) {
+    const result = await rpcRequest(chain, 'alchemy_getAssetTransfers', [{
+        toAddress: address,
+        category: ['erc20'],
+        contractAddresses: contracts,
+        order: 'asc',
+        excludeZeroValue: true,
+        maxCount: '0x3e8'
+    }], { alchemyOnly: true, timeout: 10000 });
+    
+    const inbound = new Map();
+    (result?.transfers || []).forEach(transfer => {
+        const contract = transfer.rawContract?.address?.toLowerCase();
+        if (contract && !inbound.has(contract)) inbound.set(contract, transfer.hash);
+    });
+    return inbound;
+}
+
+async function flagAirdroppedTokens(address, chain, tokens, inbound = null) {
+    const candidates = tokens
+        .filter(token => !token.isNative && !isTrustedToken(token))
+        .slice(0, AIRDROP_CHECK_MAX_TOKENS);
+    if (candidates.length === 0) return;
+    
+    try {
+        if (!inbound) {
+            inbound = await findInboundTransfers(address, chain, candidates.map(t => t.contractAddress));
+        }
+        const txHashOf = (token) => inbound.get(token.contractAddress.toLowerCase());
+        const hashes = [...new Set(candidates.map(txHashOf).filter(Boolean))];
+        const receipts = await rpcBatchRequest(chain, hashes.map(hash => ({ method: 'eth_getTransactionReceipt', params: [hash] })));
+        const receiptByHash = Object.fromEntries(hashes.map((hash, i) => [hash, receipts[i]]));
+        
+        candidates.forEach(token => {
+            const txHash = txHashOf(token);
+            const receipt = receiptByHash[txHash];
+            if (!receipt?.logs || receipt.from?.toLowerCase() === address.toLowerCase()) return;
+            
+            const recipients = new Set(receipt.logs
+                .filter(log => log.address.toLowerCase() === token.contractAddress.toLowerCase() &&
+                    log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3)
+                .map(log => log.topics[2]));
+            if (recipients.size >= AIRDROP_MIN_RECIPIENTS) {
+                token.airdrop = { txHash, recipients: recipients.size };
+            }
+        });
+    } catch (error) {
+        logger.warn('Airdrop pattern check failed', { chain, address, error });
+    }
+}
+
+function isLikelySpamToken(token, options) {
+    const { score, reasons } = classifyToken(token, options);
+    token.spamScore = score;
+    token.spamReasons = reasons;
+    return score >= SPAM_SCORE_THRESHOLD;
+}
+
+// ============================================
+// SOURCE STATUS TRACKING
+// ============================================
+
+// Each upstream source (a chain's tokens, NFTs, activity, pricing) runs through
+// runSource, which reports ok / partial / timeout / error / disabled plus
+// latency. Fetchers stay non-throwing and record failures on the `report`
+// object they are handed, so the client can tell "no tokens" from "timed out".
+
+const SOURCE_TIMEOUT = Symbol('timeout');
+
+function getErrorCode(error) {
+    const status = error.response?.status || error.httpStatus;
+    if (status) return `HTTP_${status}`;
+    return error.code !== undefined ? String(error.code) : 'UNKNOWN_ERROR';
+}
+
+function recordSourceError(report, part, error) {
+    if (!report) return;
+    report.errors.push({ part, code: getErrorCode(error), message: error.message });
+}
+
+async function runSource(fetcher, timeoutMs, fallback) {
+    const report = { errors: [], disabled: null, hasData: false };
+    const started = Date.now();
+    
+    let timer;
+    const timeoutPromise = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(SOURCE_TIMEOUT), timeoutMs);
+    });
+    const result = await Promise.race([fetcher(report), timeoutPromise]);
+    clearTimeout(timer);
+    
+    const latencyMs = Date.now() - started;
+    
+    if (result === SOURCE_TIMEOUT) {
+        // Fetchers that keep working in the background can check this and stop
+        report.timedOut = true;
+        return { data: fallback, status: { status: 'timeout', latencyMs, errorCode: 'TIMEOUT' } };
+    }
+    
+    if (report.disabled) {
+        return { data: result, status: { status: 'disabled', latencyMs, reason: report.disabled } };
+    }
+    
+    // report.partial ({ reason, ...detail }) marks data that is complete for
+    // what was searched but known not to cover everything
+    if (report.errors.length === 0) {
+        const status = report.partial ? { status: 'partial', latencyMs, ...report.partial } : { status: 'ok', latencyMs };
+        return { data: result, status };
+    }
+    
+    const hasData = Array.isArray(result) ? result.length > 0 : report.hasData;
+    return {
+        data: result,
+        status: {
+            status: hasData ? 'partial' : 'error',
+            latencyMs,
+            ...report.partial,
+            errorCode: report.errors[0].code,
+            errors: report.errors
+        }
+    };
+}
+
+// Combines several runs of the same source (e.g. per-chain pricing) into one
+// status: the worst outcome wins, errors are concatenated
+function mergeSourceStatuses(statuses) {
+    const severity = ['ok', 'disabled', 'partial', 'timeout', 'error'];
+    if (statuses.length === 0) return { status: 'ok', latencyMs: 0 };
+    
+    const worst = statuses.reduce((a, b) => severity.indexOf(b.status) > severity.indexOf(a.status) ? b : a);
+    const errors = statuses.flatMap(s => s.errors || []);
+    const someSucceeded = statuses.some(s => ['ok', 'partial'].includes(s.status));
+    const merged = {
+        status: ['timeout', 'error'].includes(worst.status) && someSucceeded ? 'partial' : worst.status,
+        latencyMs: Math.max(...statuses.map(s => s.latencyMs || 0))
+    };
+    if (worst.errorCode) merged.errorCode = worst.errorCode;
+    if (errors.length) merged.errors = errors;
+    return merged;
+}
+
+function isDegraded(sources) {
+    const statuses = [
+        ...Object.values(sources.chains),
+        ...Object.values(sources.nfts),
+        ...Object.values(sources.defi),
+        sources.activity,
+        sources.pricing
+    ];
+    // A partial with no errors is a fixed coverage limit, not an outage - the
+    // next request would get the same, so it doesn't stop caching
+    return statuses.some(s => !['ok', 'disabled'].includes(s.status) && !(s.status === 'partial' && !s.errors));
+}
+
+// ============================================
+// ADDRESS / ENS INPUT
+// ============================================
+
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+// Anything dotted that isn't an address is treated as a name - .eth, DNS
+// names imported into ENS, and L2 names like *.base.eth
+function isEnsNameInput(input) {
+    return !ethers.isAddress(input) && input.includes('.');
+}
+
+function normalizeEnsName(input) {
+    try {
+        return ethers.ensNormalize(input);
+    } catch (error) {
+        throw badRequest('Invalid ENS name');
+    }
+}
+
+// The universal resolver reverts with ResolverNotFound for unregistered names
+function isResolverNotFound(error) {
+    return error?.code === 'CALL_EXCEPTION' && error.reason === 'ResolverNotFound(bytes)';
+}
+
+async function resolveEnsName(name) {
+    return withRpcFailover('ethereum', async (ep) => {
+        try {
+            return await ep.provider.resolveName(name);
+        } catch (error) {
+            if (isResolverNotFound(error)) return null;
+            throw error;
+        }
+    });
+}
+
+// Accepts a 0x address or an ENS name; returns { address, ensName } or throws
+// an error with status 400
+async function resolveAddressInput(input) {
+    let address = input;
+    let ensName = null;
+    
+    // Resolve ENS with timeout
+    if (isEnsNameInput(address)) {
+        ensName = normalizeEnsName(address);
+        logger.debug('Resolving ENS name', { name: ensName });
+        
+        try {
+            address = await raceTimeout(
+                resolveEnsName(ensName),
+                5000,
+                'ENS resolution timeout'
+            );
+        } catch (error) {
+            logger.warn('ENS resolution error', { name: ensName, error });
+            throw badRequest('ENS resolution failed');
+        }
+        
+        if (!address) {
+            logger.info('ENS name did not resolve', { name: ensName });
+            throw badRequest('Could not resolve ENS name');
+        }
+        
+        logger.info('ENS resolved', { name: ensName, address });
+    }
+    
+    // Validate address
+    if (!ethers.isAddress(address)) {
+        throw badRequest('Invalid Ethereum address');
+    }
+    
+    return { address: ethers.getAddress(address), ensName };
+}
+
+// ============================================
+// ENS PROFILES
+// ============================================
+
+// Forward and reverse resolution go through mainnet ENS, which also covers
+// DNS names and Basenames (*.base.eth) via wildcard/CCIP resolvers. Addresses
+// with no mainnet primary name fall back to the Basename reverse record on
+// Base. Avatars use ethers' ENSIP-12 handling, so NFT avatars resolve to images.
+
+const ENS_CACHE_TTL = 1800;
+const ENS_TIMEOUT_MS = 8000;
+const ENS_TEXT_RECORDS = {
+    twitter: 'com.twitter',
+    github: 'com.github',
+    url: 'url',
+    description: 'description',
+    email: 'email',
+    discord: 'com.discord',
+    telegram: 'org.telegram',
+    header: 'header'
+};
+const BASENAME_L2_RESOLVER = '0xC6d566A56A1aFf6508b41f6c90ff131615583BCD';
+const BASE_REVERSE_NAMESPACE = '80002105.reverse'; // ENSIP-11 coin type for Base (0x80000000 | 8453)
+
+const ensCache = createCache('ens', ENS_CACHE_TTL);
+const basenameResolverInterface = new ethers.Interface([
+    'function name(bytes32 node) view returns (string)',
+    'function addr(bytes32 node) view returns (address)'
+]);
+
+function raceTimeout(promise, ms, message) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject(new Error(message)), ms))
+    ]);
+}
+
+async function callBasenameResolver(method, node) {
+    const result = await rpcRequest('base', 'eth_call', [{
+        to: BASENAME_L2_RESOLVER,
+        data: basenameResolverInterface.encodeFunctionData(method, [node])
+    }, 'latest']);
+    return basenameResolverInterface.decodeFunctionResult(method, result)[0];
+}
+
+// Basename primary name for an address, only if it resolves back to it
+async function lookupBasename(address) {
+    if (!rpcEndpoints.base?.length) return null;
+    
+    const reverseNode = ethers.namehash(`${address.slice(2).toLowerCase()}.${BASE_REVERSE_NAMESPACE}`);
+    const name = await callBasenameResolver('name', reverseNode);
+    if (!name) return null;
+    
+    const forward = await callBasenameResolver('addr', ethers.namehash(name));
+    return forward.toLowerCase() === address.toLowerCase() ? name : null;
+}
+
+async function lookupPrimaryName(address) {
+    // lookupAddress already checks the name resolves back to the address
+    const ensName = await withRpcFailover('ethereum', ep => ep.provider.lookupAddress(address));
+    if (ensName) return { name: ensName, source: 'ens' };
+    
+    try {
+        const basename = await lookupBasename(address);
+        if (basename) return { name: basename, source: 'basename' };
+    } catch (error) {
+        logger.warn('Basename reverse lookup failed', { address, source: 'basename', error });
+    }
+    return null;
+}
+
+async function fetchNameRecords(name) {
+    return withRpcFailover('ethereum', async (ep) => {
+        let resolver;
+        try {
+            resolver = await ep.provider.getResolver(name);
+        } catch (error) {
+            if (isResolverNotFound(error)) return null;
+            throw error;
+        }
+        if (!resolver) return null;
+        
+        const keys = Object.keys(ENS_TEXT_RECORDS);
+        const [address, avatar, contentHash, ...texts] = await Promise.allSettled([
+            resolver.getAddress(),
+            resolver.getAvatar(),
+            resolver.getContentHash(),
+            ...keys.map(key => resolver.getText(ENS_TEXT_RECORDS[key]))
+        ]);
+        
+        return {
+            resolver: resolver.address,
+            address: address.value || null,
+            avatar: avatar.value || null,
+            contentHash: contentHash.value || null,
+            records: Object.fromEntries(keys.map((key, i) => [key, texts[i].value || null]))
+        };
+    });
+}
+
+// Full profile for a name or address; null when neither direction resolves
+async function getEnsProfile(nameOrAddress) {
+    const isAddress = ethers.isAddress(nameOrAddress);
+    const cacheKey = nameOrAddress.toLowerCase();
+    const cached = isRefreshRequest() ? undefined : await ensCache.get(cacheKey);
+    if (cached !== undefined) return cached;
+    
+    let name = isAddress ? null : nameOrAddress;
+    let primaryName = null;
+    let source = isAddress ? null : (name.endsWith('.base.eth') ? 'basename' : 'ens');
+    
+    if (isAddress) {
+        const primary = await raceTimeout(lookupPrimaryName(nameOrAddress), ENS_TIMEOUT_MS, 'ENS reverse lookup timeout');
+        if (!primary) {
+            await ensCache.set(cacheKey, null);
+            return null;
+        }
+        name = primary.name;
+        primaryName = primary.name;
+        source = primary.source;
+    }
+    
+    const records = await raceTimeout(fetchNameRecords(name), ENS_TIMEOUT_MS, 'ENS record lookup timeout');
+    if (!isAddress && !records) {
+        await ensCache.set(cacheKey, null);
+        return null;
+    }
+    const address = isAddress ? ethers.getAddress(nameOrAddress) : records?.address || null;
+    
+    if (!isAddress && address) {
+        const primary = await raceTimeout(lookupPrimaryName(address), ENS_TIMEOUT_MS, 'ENS reverse lookup timeout').catch(() => null);
+        primaryName = primary?.name || null;
+    }
+    
+    const profile = {
+        name,
+        address,
+        primaryName,
+        isPrimary: !!primaryName && primaryName === name,
+        source,
+        avatar: records?.avatar || null,
+        records: records?.records || Object.fromEntries(Object.keys(ENS_TEXT_RECORDS).map(key => [key, null])),
+        contentHash: records?.contentHash || null,
+        resolver: records?.resolver || null
+    };
+    
+    await ensCache.set(cacheKey, profile);
+    return profile;
+}
+
+async function fetchEnsProfileSafe(nameOrAddress, report) {
+    if (!rpcEndpoints.ethereum?.length) {
+        report.disabled = 'Ethereum RPC not configured';
+        return null;
+    }
+    
+    try {
+        return await getEnsProfile(nameOrAddress);
+    } catch (error) {
+        logger.warn('ENS profile lookup failed', { name: nameOrAddress, source: 'ens', error });
+        recordSourceError(report, 'ens', error);
+        return null;
+    }
+}
+
+app.get('/api/ens/:nameOrAddress', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const input = req.params.nameOrAddress.trim();
+        let lookup = input;
+        if (!ethers.isAddress(input)) {
+            lookup = normalizeEnsName(input);
+        }
+        
+        const profile = await getEnsProfile(lookup);
+        if (!profile) {
+            return res.status(404).json({ error: ethers.isAddress(input) ? 'No primary name set for this address' : 'Name not found' });
+        }
+        
+        res.json({ ...profile, responseTime: Date.now() - startTime });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('ENS profile error', { error });
+        res.status(502).json({
+            error: 'ENS lookup failed',
+            message: error.message,
+            responseTime: Date.now() - startTime
+        });
+    }
+});
+
+// ============================================
+// MAIN WALLET ENDPOINT (JSON, NDJSON & SSE)
+// ============================================
+
+// ?stream=1 (or ndjson) writes one JSON object per line; ?stream=sse or an
+// Accept: text/event-stream header switches to Server-Sent Events. Headers go
+// out with the first event so validation errors can still be plain JSON. Once
+// the client disconnects the stream is marked aborted and writes are dropped.
+function createWalletStream(req, res) {
+    const sse = req.query.stream === 'sse' || (req.get('accept') || '').includes('text/event-stream');
+    let started = false;
+    let aborted = false;
+    
+    res.on('close', () => {
+        if (!res.writableFinished) aborted = true;
+    });
+    
+    return {
+        get started() {
+            return started;
+        },
+        get aborted() {
+            return aborted;
+        },
+        send(event, data) {
+            if (aborted) return;
+            if (!started) {
+                res.set({
+                    'Content-Type': sse ? 'text/event-stream' : 'application/x-ndjson',
+                    'Cache-Control': 'no-cache',
+                    'X-Accel-Buffering': 'no'
+                });
+                res.flushHeaders();
+                started = true;
+            }
+            if (sse) {
+                sendEvent(res, event, data);
+            } else {
+                res.write(`${JSON.stringify({ event, data })}\n`);
+            }
+        },
+        end() {
+            if (!aborted) res.end();
+        }
+    };
+}
+
+// Spam tokens are always computed and cached, but only returned on request
+function formatWalletResponse(data, includeSpam) {
+    if (includeSpam) return data;
+    const { spamTokens, ...rest } = data;
+    return rest;
+}
+
+// Fetches, prices and classifies everything for one resolved address. Shared by
+// the wallet endpoint and the snapshot job. The portfolio endpoint runs the
+// fetch and assemble steps itself so it can price every wallet in one pass.
+async function buildWalletData(address, ensName, startTime = Date.now()) {
+    const fetched = await fetchWalletSources(address, ensName);
+    
+    // Get prices with timeout - the spam classifier uses liquidity and price confidence
+    const pricingResult = await runSource((report) => fetchPricesForTokens(fetched.allTokens, report), 5000);
+    
+    return assembleWalletData(address, ensName, fetched, pricingResult.status, startTime);
+}
+
+// Streaming variant of buildWalletData: each chain's tokens are priced as soon
+// as they arrive instead of in one pass at the end, and every step is emitted.
+// When the client has gone (isAborted) nothing more is priced and null is returned.
+async function streamWalletData(address, ensName, startTime, emit, includeSpam, isAborted = () => false) {
+    const pricingRuns = [];
+    
+    const fetched = await fetchWalletSources(address, ensName, (kind, chain, result) => {
+        if (isAborted()) return;
+        if (kind === 'tokens') {
+            emit('tokens', { chain, tokens: result.data, status: result.status });
+            
+            pricingRuns.push(runSource((report) => fetchPricesForTokens(result.data, report), 5000).then(pricing => {
+                const pricingAvailable = ['ok', 'partial'].includes(pricing.status.status);
+                const tokens = [];
+                const spamTokens = [];
+                result.data.forEach(token => {
+                    (isLikelySpamToken(token, { pricingAvailable }) ? spamTokens : tokens).push(token);
+                });
+                tokens.sort((a, b) => (b.usdValue || 0) - (a.usdValue || 0));
+                
+                emit('prices', {
+                    chain,
+                    tokens,
+                    totalValue: tokens.reduce((sum, t) => sum + (t.usdValue || 0), 0),
+                    spamCount: spamTokens.length,
+                    ...(includeSpam ? { spamTokens } : {}),
+                    status: pricing.status
+                });
+                return pricing;
+            }));
+        } else if (kind === 'nfts') {
+            emit('nfts', { chain, collections: result.data, status: result.status });
+        } else if (kind === 'activity') {
+            emit('activity', { activity: result.data, status: result.status });
+        } else if (kind === 'ens') {
+            emit('ens', { profile: result.data, status: result.status });
+        } else if (kind === 'defi') {
+            emit('defi', { chain, positions: result.data, status: result.status });
+        }
+    });
+    
+    const pricingResults = await Promise.all(pricingRuns);
+    if (isAborted()) return null;
+    return assembleWalletData(address, ensName, fetched, mergeSourceStatuses(pricingResults.map(r => r.status)), startTime);
+}
+
+// onResult(kind, chain, result) fires as each source settles, for streaming
+async function fetchWalletSources(address, ensName = null, onResult = null) {
+    // Fetch data with timeouts and error handling
+    const notify = (kind, chain) => (result) => {
+        if (onResult) onResult(kind, chain, result);
+        return result;
+    };
+    
+    // Run every source with its timeout - tokens and NFTs per configured chain, then activity
+    const tokenPromises = CHAINS.map(chain => runSource(
+        (report) => fetchTokensSafe(address, chain.id, report),
+        chain.timeout,
+        []
+    ).then(notify('tokens', chain.id)));
+    
+    // DeFi adapters start once a chain's tokens are in - Aave reads its receipt tokens from them
+    const defiPromises = CHAINS.map((chain, i) => tokenPromises[i].then(tokensResult => runSource(
+        (report) => fetchDefiPositionsSafe(address, chain.id, tokensResult.data, report),
+        DEFI_TIMEOUT_MS,
+        []
+    )).then(notify('defi', chain.id)));
+    
+    const fetchPromises = [
+        ...tokenPromises,
+        ...CHAINS.map(chain => runSource(
+            (report) => fetchNFTsSafe(address, chain.id, report),
+            10000,
+            []
+        ).then(notify('nfts', chain.id))),
+        runSource((report) => fetchActivitySafe(address, report), 8000, []).then(notify('activity', null)),
+        // A pasted address gets its primary name; a name gets its records
+        runSource((report) => fetchEnsProfileSafe(ensName || address, report), ENS_TIMEOUT_MS, null).then(notify('ens', null)),
+        ...defiPromises
+    ];
+    
+    const results = await Promise.all(fetchPromises);
+    const chainResults = results.slice(0, CHAINS.length);
+    const nftResults = results.slice(CHAINS.length, CHAINS.length * 2);
+    const activityResult = results[CHAINS.length * 2];
+    const ensResult = results[CHAINS.length * 2 + 1];
+    const defiResults = results.slice(CHAINS.length * 2 + 2);
+    const tokensPerChain = chainResults.map(r => r.data);
+    const nfts = nftResults.flatMap(r => r.data).sort(compareCollections);
+    const activity = activityResult.data;
+    const defiPositions = defiResults.flatMap(r => r.data);
+    
+    logger.info('Wallet sources fetched', {
+        address,
+        chains: Object.fromEntries(CHAINS.map((chain, i) => [chain.id, {
+            tokens: tokensPerChain[i].length,
+            tokenStatus: chainResults[i].status.status,
+            nftCollections: nftResults[i].data.length,
+            nftStatus: nftResults[i].status.status
+        }])),
+        transactions: activity.length,
+        activityStatus: activityResult.status.status,
+        defiPositions: defiPositions.length
+    });
+    
+    // Combine all tokens
+    const allTokens = tokensPerChain.flat();
+    
+    return { chainResults, nftResults, activityResult, ensResult, defiResults, allTokens, nfts, activity, defiPositions };
+}
+
+// Classifies spam and builds the response once tokens have been priced
+function assembleWalletData(address, ensName, fetched, pricingStatus, startTime) {
+    const { chainResults, nftResults, activityResult, ensResult, defiResults, allTokens, nfts, activity, defiPositions } = fetched;
+    
+    // Score and filter spam tokens
+    const pricingAvailable = ['ok', 'partial'].includes(pricingStatus.status);
+    const spamTokens = [];
+    const validTokens = allTokens.filter(token => {
+        const isSpam = isLikelySpamToken(token, { pricingAvailable });
+        if (isSpam) {
+            spamTokens.push(token);
+            logger.debug('Filtered spam token', { chain: token.chain, contract: token.contractAddress, symbol: token.symbol, score: token.spamScore, reasons: token.spamReasons });
+        }
+        return !isSpam;
+    });
+    
+    logger.debug('Spam filter applied', { address, kept: validTokens.length, filtered: spamTokens.length });
+    
+    const sources = {
+        chains: Object.fromEntries(CHAINS.map((chain, i) => [chain.id, chainResults[i].status])),
+        nfts: Object.fromEntries(CHAINS.map((chain, i) => [chain.id, nftResults[i].status])),
+        activity: activityResult.status,
+        pricing: pricingStatus,
+        ens: ensResult.status,
+        defi: Object.fromEntries(CHAINS.map((chain, i) => [chain.id, defiResults[i].status]))
+    };
+    const degraded = isDegraded(sources);
+    
+    // Calculate total value - tokens only, NFTs are valued separately at floor
+    const totalValue = validTokens.reduce((sum, t) => sum + (t.usdValue || 0), 0);
+    const nftValueUsd = nfts.reduce((sum, c) => sum + (c.totalValueUsd || 0), 0);
+    const defi = summarizeDefiPositions(defiPositions, validTokens);
+    
+    // Sort by value
+    validTokens.sort((a, b) => (b.usdValue || 0) - (a.usdValue || 0));
+    
+    return {
+        address,
+        ensName: ensName || ensResult.data?.primaryName || null,
+        ensProfile: ensResult.data,
+        totalValue,
+        nftValueUsd,
+        // Receipt tokens (aTokens, stETH, ...) are already in totalValue, so only
+        // the part of DeFi value not held as a token is added on top
+        netWorth: totalValue + nftValueUsd + defi.netValueUsd - defi.receiptTokenValueUsd,
+        tokens: validTokens,
+        tokensByChain: Object.fromEntries(
+            CHAINS.map(chain => [chain.id, validTokens.filter(t => t.chain === chain.id)])
+        ),
+        nfts,
+        nftsByChain: Object.fromEntries(
+            CHAINS.map(chain => [chain.id, nfts.filter(c => c.chain === chain.id)])
+        ),
+        activity,
+        defiPositions: defi,
+        tokenCount: validTokens.length,
+        nftCount: nfts.reduce((sum, c) => sum + c.nfts.length, 0),
+        chainsWithBalance: [...new Set(validTokens.map(t => t.chain))],
+        spamCount: spamTokens.length,
+        spamTokens,
+        sources,
+        degraded,
+        responseTime: Date.now() - startTime
+    };
+}
+
+// Wallet responses are fresh for WALLET_FRESH_TTL seconds, then served stale
+// (while a background refresh runs) until WALLET_STALE_TTL. ENS inputs map to
+// the resolved address through an alias key so both share one entry.
+const WALLET_FRESH_TTL = parseInt(process.env.WALLET_FRESH_TTL) || 300;
+const WALLET_STALE_TTL = parseInt(process.env.WALLET_STALE_TTL) || 3600;
+
+function walletCacheKey(address) {
+    return `wallet_${address.toLowerCase()}`;
+}
+
+async function getCachedWallet(input) {
+    let address = ethers.isAddress(input) ? input : await cache.get(`ensalias_${input.toLowerCase()}`);
+    if (!address) return null;
+    
+    const entry = await cache.get(walletCacheKey(address));
+    if (!entry) return null;
+    
+    const ageSeconds = Math.round((Date.now() - entry.storedAt) / 1000);
+    return { ...entry, ageSeconds, stale: ageSeconds > WALLET_FRESH_TTL };
+}
+
+// Caches (when complete) and snapshots a freshly built wallet
+async function storeWalletData(data) {
+    if (data.degraded) {
+        logger.info('Degraded wallet response, not caching', { address: data.address });
+    } else {
+        await cache.set(walletCacheKey(data.address), { data, storedAt: Date.now() }, WALLET_STALE_TTL);
+    }
+    
+    if (isSnapshotComplete(data)) {
+        recordSnapshot(data);
+    }
+}
+
+function refreshWallet(address, ensName) {
+    return coalesce(walletCacheKey(address), async () => {
+        const data = await buildWalletData(address, ensName);
+        await storeWalletData(data);
+        return data;
+    });
+}
+
+function withCacheInfo(data, status, storedAt = null) {
+    return {
+        ...data,
+        cache: {
+            status,
+            cachedAt: storedAt ? new Date(storedAt).toISOString() : null,
+            ageSeconds: storedAt ? Math.round((Date.now() - storedAt) / 1000) : 0
+        }
+    };
+}
+
+app.get('/api/wallet/:addressOrEns', async (req, res) => {
+    const startTime = Date.now();
+    let stream = null;
+    
+    try {
+        let address = req.params.addressOrEns;
+        let ensName = null;
+        const includeSpam = req.query.includeSpam === 'true';
+        const refresh = req.query.refresh === 'true';
+        if (req.query.stream && req.query.stream !== '0') {
+            stream = createWalletStream(req, res);
+        }
+        
+        logger.info('Wallet request', { input: address, refresh });
+        
+        const respondFromCache = (cached) => {
+            if (cached.stale) {
+                logger.info('Serving stale wallet data, revalidating', { address: cached.data.address, ageSeconds: cached.ageSeconds });
+                refreshWallet(cached.data.address, cached.data.ensName)
+                    .catch(error => logger.error('Background wallet refresh failed', { address: cached.data.address, error }));
+            } else {
+                logger.debug('Serving cached wallet data', { address: cached.data.address });
+            }
+            
+            const payload = withCacheInfo(formatWalletResponse(cached.data, includeSpam), cached.stale ? 'stale' : 'hit', cached.storedAt);
+            if (stream) {
+                stream.send('summary', payload);
+                return stream.end();
+            }
+            return res.json(payload);
+        };
+        
+        // Check cache first, unless the client asked for fresh data
+        let cached = refresh ? null : await getCachedWallet(address);
+        if (cached) return respondFromCache(cached);
+        
+        // Resolve ENS and validate
+        try {
+            ({ address, ensName } = await resolveAddressInput(address));
+        } catch (error) {
+            return res.status(error.status || 400).json({ error: error.message });
+        }
+        
+        if (ensName) {
+            await cache.set(`ensalias_${req.params.addressOrEns.toLowerCase()}`, address, WALLET_STALE_TTL);
+            // The address may already be cached from a request by address
+            cached = refresh ? null : await getCachedWallet(address);
+            if (cached) return respondFromCache(cached);
+        }
+        
+        let responseData;
+        if (stream) {
+            // Streams need their own progressive fetch, so they aren't coalesced
+            stream.send('meta', { address, ensName, chains: CHAINS.map(c => c.id) });
+            responseData = await streamWalletData(address, ensName, startTime, stream.send, includeSpam, () => stream.aborted);
+            if (!responseData) {
+                logger.info('Wallet stream closed by client', { address, durationMs: Date.now() - startTime });
+                return;
+            }
+            await storeWalletData(responseData);
+        } else {
+            responseData = await refreshWallet(address, ensName);
+        }
+        
+        const payload = withCacheInfo(formatWalletResponse(responseData, includeSpam), refresh ? 'refresh' : 'miss');
+        
+        logger.info('Wallet built', { address: responseData.address, durationMs: Date.now() - startTime, degraded: responseData.degraded });
+        if (stream) {
+            stream.send('summary', payload);
+            return stream.end();
+        }
+        res.json(payload);
+        
+    } catch (error) {
+        logger.error('Wallet request failed', { input: req.params.addressOrEns, error });
+        if (stream?.started) {
+            stream.send('error', { error: 'Failed to fetch wallet data', message: error.message });
+            return stream.end();
+        }
+        res.status(500).json({ 
+            error: 'Failed to fetch wallet data',
+            message: error.message,
+            responseTime: Date.now() - startTime
+        });
+    }
+});
+
+// ============================================
+// PORTFOLIO SNAPSHOTS & HISTORY
+// ============================================
+
+// Only watched addresses are snapshotted: those in WATCHED_ADDRESSES plus any
+// whose history was requested in the last SNAPSHOT_WATCH_TTL_DAYS. For them,
+// each fresh, non-degraded wallet build is stored (at most one per
+// SNAPSHOT_MIN_INTERVAL_MINUTES) and the job snapshots them every
+// SNAPSHOT_INTERVAL_MINUTES (0 disables it). Each job run first drops expired
+// watch entries and the snapshots of addresses no longer watched, so the store
+// only grows with the watch list; reads and wallet builds never prune.
+//
+// Snapshots are stored one per key ("<address>@<timestamp>") so recording one
+// appends a single entry rather than rewriting the address's whole series;
+// snapshotIndex keeps each address's keys oldest first.
+
+const SNAPSHOT_MIN_INTERVAL_MS = (parseInt(process.env.SNAPSHOT_MIN_INTERVAL_MINUTES) || 15) * 60 * 1000;
+const SNAPSHOT_INTERVAL_MINUTES = process.env.SNAPSHOT_INTERVAL_MINUTES === undefined ? 60 : parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES) || 0;
+const SNAPSHOT_WATCH_TTL_MS = (parseInt(process.env.SNAPSHOT_WATCH_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_SNAPSHOTS_PER_ADDRESS = 2000;
+const HISTORY_RANGE_UNITS = { h: 3600, d: 86400, w: 604800, y: 31536000 };
+
+const snapshotStore = createJsonStore('snapshots');
+const watchStore = createJsonStore('watched-addresses');
+
+const snapshotIndex = new Map();
+
+function indexSnapshot(address, key) {
+    if (!snapshotIndex.has(address)) snapshotIndex.set(address, []);
+    snapshotIndex.get(address).push(key);
+}
+
+// Series stored by older versions as one array per address are split up here
+snapshotStore.keys().forEach(key => {
+    const value = snapshotStore.get(key);
+    if (!Array.isArray(value)) return;
+    value.forEach(snapshot => snapshotStore.set(`${key}@${snapshot.timestamp}`, snapshot));
+    snapshotStore.delete(key);
+});
+snapshotStore.keys().sort().forEach(key => indexSnapshot(key.split('@')[0], key));
+
+function getSnapshots(address) {
+    return (snapshotIndex.get(address.toLowerCase()) || []).map(key => snapshotStore.get(key));
+}
+
+function deleteSnapshots(address) {
+    (snapshotIndex.get(address) || []).forEach(key => snapshotStore.delete(key));
+    snapshotIndex.delete(address);
+}
+
+function tokenKey(token) {
+    return `${token.chain}:${token.isNative ? 'native' : token.contractAddress.toLowerCase()}`;
+}
+
+// Activity and NFT outages don't affect token value, so only balances and
+// pricing have to be healthy for a snapshot to be worth keeping
+function isSnapshotComplete(data) {
+    return Object.values(data.sources.chains).every(s => s.status === 'ok') &&
+        ['ok', 'partial'].includes(data.sources.pricing.status);
+}
+
+function recordSnapshot(data, force = false) {
+    const address = data.address.toLowerCase();
+    if (!isWatchedAddress(address)) return false;
+    
+    const keys = snapshotIndex.get(address) || [];
+    const last = keys.length > 0 ? snapshotStore.get(keys[keys.length - 1]) : null;
+    if (!force && last && Date.now() - Date.parse(last.timestamp) < SNAPSHOT_MIN_INTERVAL_MS) {
+        return false;
+    }
+    
+    const timestamp = new Date().toISOString();
+    const key = `${address}@${timestamp}`;
+    snapshotStore.set(key, {
+        timestamp,
+        totalValue: data.totalValue,
+        nftValueUsd: data.nftValueUsd,
+        netWorth: data.netWorth,
+        tokens: data.tokens.map(t => ({
+            key: tokenKey(t),
+            chain: t.chain,
+            contractAddress: t.isNative ? null : t.contractAddress,
+            symbol: t.symbol,
+            balance: t.balance,
+            price: t.price,
+            usdValue: t.usdValue
+        }))
+    });
+    indexSnapshot(address, key);
+    
+    const series = snapshotIndex.get(address);
+    series.splice(0, series.length - MAX_SNAPSHOTS_PER_ADDRESS).forEach(old => snapshotStore.delete(old));
+    return true;
+}
+
+const ENV_WATCHED_ADDRESSES = (process.env.WATCHED_ADDRESSES || '')
+    .split(',')
+    .map(a => a.trim())
+    .filter(a => ethers.isAddress(a))
+    .map(a => ethers.getAddress(a));
+
+function isWatchEntryLive(entry) {
+    return !!entry && Date.now() - entry.lastRequested <= SNAPSHOT_WATCH_TTL_MS;
+}
+
+function getWatchedAddresses() {
+    const fromRequests = watchStore.keys().filter(address => isWatchEntryLive(watchStore.get(address)));
+    return [...new Set([...ENV_WATCHED_ADDRESSES, ...fromRequests])];
+}
+
+function isWatchedAddress(address) {
+    const checksummed = ethers.getAddress(address);
+    return ENV_WATCHED_ADDRESSES.includes(checksummed) || isWatchEntryLive(watchStore.get(checksummed));
+}
+
+// Only the snapshot job calls this
+function pruneWatchList() {
+    watchStore.keys()
+        .filter(address => !isWatchEntryLive(watchStore.get(address)))
+        .forEach(address => watchStore.delete(address));
+    
+    const watched = new Set(getWatchedAddresses().map(a => a.toLowerCase()));
+    [...snapshotIndex.keys()].filter(address => !watched.has(address)).forEach(deleteSnapshots);
+}
+
+let snapshotJobRunning = false;
+
+async function runSnapshotJob() {
+    if (snapshotJobRunning) return;
+    snapshotJobRunning = true;
+    
+    try {
+        pruneWatchList();
+        const addresses = getWatchedAddresses();
+        let stored = 0;
+        logger.info('Snapshotting watched addresses', { count: addresses.length });
+        
+        // One address at a time - the job shouldn't compete with live requests
+        for (const address of addresses) {
+            try {
+                const data = await buildWalletData(address, null);
+                if (!isSnapshotComplete(data)) {
+                    logger.warn('Incomplete balances or pricing, skipping snapshot', { address });
+                    continue;
+                }
+                if (recordSnapshot(data, true)) stored++;
+            } catch (error) {
+                logger.error('Snapshot failed', { address, error });
+            }
+        }
+        
+        logger.info('Snapshots stored', { stored, count: addresses.length });
+    } finally {
+        snapshotJobRunning = false;
+    }
+}
+
+function parseRangeParam(value) {
+    if (!value || value === 'all') return null;
+    const match = /^(\d+)([hdwy])$/.exec(value);
+    if (!match) throw badRequest('Invalid range, use e.g. 24h, 30d, 12w, 1y or all');
+    return parseInt(match[1]) * HISTORY_RANGE_UNITS[match[2]];
+}
+
+// Profit/loss counts only price moves on the balance held going into each
+// interval, so deposits and withdrawals don't show up as gains or losses
+function computeTokenPnl(snapshots) {
+    const tokens = {};
+    
+    snapshots.forEach((snapshot, i) => {
+        const previous = i > 0 ? snapshots[i - 1] : null;
+        const previousTokens = previous ? Object.fromEntries(previous.tokens.map(t => [t.key, t])) : {};
+        
+        snapshot.tokens.forEach(token => {
+            if (!tokens[token.key]) {
+                tokens[token.key] = {
+                    chain: token.chain,
+                    contractAddress: token.contractAddress,
+                    symbol: token.symbol,
+                    startBalance: i === 0 ? token.balance : '0',
+                    startPrice: token.price,
+                    pnl: 0
+                };
+            }
+            
+            const before = previousTokens[token.key];
+            if (before && before.price > 0 && token.price > 0) {
+                tokens[token.key].pnl += parseFloat(before.balance) * (token.price - before.price);
+            }
+        });
+    });
+    
+    const latest = snapshots[snapshots.length - 1];
+    const latestTokens = latest ? Object.fromEntries(latest.tokens.map(t => [t.key, t])) : {};
+    const first = snapshots[0];
+    const firstTokens = first ? Object.fromEntries(first.tokens.map(t => [t.key, t])) : {};
+    
+    return Object.entries(tokens).map(([key, token]) => {
+        const end = latestTokens[key];
+        const startValue = firstTokens[key]?.usdValue || 0;
+        const endValue = end?.usdValue || 0;
+        return {
+            ...token,
+            endBalance: end?.balance || '0',
+            endPrice: end?.price || 0,
+            startValue,
+            endValue,
+            valueChange: endValue - startValue
+        };
+    }).sort((a, b) => Math.abs(b.pnl) - Math.abs(a.pnl));
+}
+
+app.get('/api/wallet/:addressOrEns/history', async (req, res) => {
+    try {
+        const rangeSeconds = parseRangeParam(req.query.range || '30d');
+        const { address, ensName } = await resolveAddressInput(req.params.addressOrEns);
+        
+        // Asking for history keeps the address on the snapshot job's list
+        watchStore.set(address, { lastRequested: Date.now() });
+        
+        const since = rangeSeconds === null ? 0 : Date.now() - rangeSeconds * 1000;
+        const snapshots = getSnapshots(address).filter(s => Date.parse(s.timestamp) >= since);
+        
+        const first = snapshots[0];
+        const latest = snapshots[snapshots.length - 1];
+        const tokens = computeTokenPnl(snapshots);
+        const startValue = first?.netWorth ?? first?.totalValue ?? 0;
+        const endValue = latest?.netWorth ?? latest?.totalValue ?? 0;
+        
+        res.json({
+            address,
+            ensName,
+            range: req.query.range || '30d',
+            series: snapshots.map(s => ({
+                timestamp: s.timestamp,
+                totalValue: s.totalValue,
+                nftValueUsd: s.nftValueUsd || 0,
+                netWorth: s.netWorth ?? s.totalValue
+            })),
+            summary: {
+                startValue,
+                endValue,
+                change: endValue - startValue,
+                changePercent: startValue > 0 ? ((endValue - startValue) / startValue) * 100 : null,
+                tokenPnl: tokens.reduce((sum, t) => sum + t.pnl, 0)
+            },
+            tokens,
+            snapshotCount: snapshots.length,
+            watching: true
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('History request failed', { error });
+        res.status(500).json({ error: 'Failed to load history', message: error.message });
+    }
+});
+
+// ============================================
+// MULTI-WALLET PORTFOLIO ENDPOINT
+// ============================================
+
+// POST /api/portfolio { "addresses": ["0x...", "name.eth"] } fetches every
+// wallet, prices all of their tokens in one pass, and merges holdings by
+// chain+contract alongside a per-address breakdown.
+
+const PORTFOLIO_MAX_ADDRESSES = parseInt(process.env.PORTFOLIO_MAX_ADDRESSES) || 20;
+const PORTFOLIO_CONCURRENCY = 4;
+
+function mergeTokens(wallets) {
+    const merged = {};
+    
+    wallets.forEach(wallet => {
+        wallet.tokens.forEach(token => {
+            const key = tokenKey(token);
+            const decimals = token.decimals ?? 18;
+            const rawBalance = getRawBalance(token);
+            
+            if (!merged[key]) {
+                const { balance, rawBalance, usdValue, ...rest } = token;
+                merged[key] = { ...rest, decimals, balance: '0', rawBalance: '0', usdValue: 0, holdings: [] };
+            }
+            
+            const total = BigInt(merged[key].rawBalance) + rawBalance;
+            merged[key].rawBalance = total.toString();
+            merged[key].balance = ethers.formatUnits(total, decimals);
+            merged[key].usdValue += token.usdValue || 0;
+            merged[key].holdings.push({
+                address: wallet.address,
+                balance: token.balance,
+                rawBalance: rawBalance.toString(),
+                usdValue: token.usdValue || 0
+            });
+        });
+    });
+    
+    return Object.values(merged).sort((a, b) => b.usdValue - a.usdValue);
+}
+
+app.post('/api/portfolio', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const inputs = req.body?.addresses;
+        const includeSpam = req.query.includeSpam === 'true' || req.body?.includeSpam === true;
+        
+        if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(i => typeof i !== 'string')) {
+            throw badRequest('Body must be { "addresses": [address or ENS name, ...] }');
+        }
+        if (inputs.length > PORTFOLIO_MAX_ADDRESSES) {
+            throw badRequest(`At most ${PORTFOLIO_MAX_ADDRESSES} addresses per portfolio`);
+        }
+        
+        logger.info('Building portfolio', { addresses: inputs.length });
+        
+        // Resolve everything up front so one bad entry fails the request clearly
+        const resolved = [];
+        for (const input of inputs) {
+            let result;
+            try {
+                result = await resolveAddressInput(input.trim());
+            } catch (error) {
+                throw badRequest(`${input}: ${error.message}`);
+            }
+            if (!resolved.some(r => r.address === result.address)) {
+                resolved.push({ input, ...result });
+            }
+        }
+        
+        // Fetch wallets a few at a time, then price every token in one pass
+        const fetched = [];
+        for (let i = 0; i < resolved.length; i += PORTFOLIO_CONCURRENCY) {
+            const batch = resolved.slice(i, i + PORTFOLIO_CONCURRENCY);
+            fetched.push(...await Promise.all(batch.map(r => fetchWalletSources(r.address))));
+        }
+        
+        const allTokens = fetched.flatMap(f => f.allTokens);
+        const pricingResult = await runSource((report) => fetchPricesForTokens(allTokens, report), 5000);
+        
+        const wallets = resolved.map((r, i) => assembleWalletData(r.address, r.ensName, fetched[i], pricingResult.status, startTime));
+        wallets.forEach(wallet => {
+            if (isSnapshotComplete(wallet)) recordSnapshot(wallet);
+        });
+        
+        const tokens = mergeTokens(wallets);
+        const nfts = wallets.flatMap(w => w.nfts).sort(compareCollections);
+        const totalValue = wallets.reduce((sum, w) => sum + w.totalValue, 0);
+        const nftValueUsd = wallets.reduce((sum, w) => sum + w.nftValueUsd, 0);
+        const defiValueUsd = wallets.reduce((sum, w) => sum + w.defiPositions.netValueUsd, 0);
+        
+        const response = {
+            addresses: wallets.map((wallet, i) => ({
+                input: resolved[i].input,
+                address: wallet.address,
+                ensName: wallet.ensName,
+                totalValue: wallet.totalValue,
+                nftValueUsd: wallet.nftValueUsd,
+                defiValueUsd: wallet.defiPositions.netValueUsd,
+                netWorth: wallet.netWorth,
+                tokenCount: wallet.tokenCount,
+                nftCount: wallet.nftCount,
+                chainsWithBalance: wallet.chainsWithBalance,
+                spamCount: wallet.spamCount,
+                sources: wallet.sources,
+                degraded: wallet.degraded
+            })),
+            totalValue,
+            nftValueUsd,
+            defiValueUsd,
+            netWorth: wallets.reduce((sum, w) => sum + w.netWorth, 0),
+            tokens,
+            tokensByChain: Object.fromEntries(
+                CHAINS.map(chain => [chain.id, tokens.filter(t => t.chain === chain.id)])
+            ),
             nfts,
-            activity,
-            tokenCount: validTokens.length,
-            nftCount: nfts.reduce((sum, c) => sum + c.nfts.length, 0),
-            chainsWithBalance: [...new Set(validTokens.map(t => t.chain))],
+            defiPositions: wallets.flatMap(w => w.defiPositions.positions.map(p => ({ ...p, address: w.address }))),
+            tokenCount: tokens.length,
+            nftCount: wallets.reduce((sum, w) => sum + w.nftCount, 0),
+            chainsWithBalance: [...new Set(tokens.map(t => t.chain))],
+            spamCount: wallets.reduce((sum, w) => sum + w.spamCount, 0),
+            pricing: pricingResult.status,
+            degraded: wallets.some(w => w.degraded),
+            responseTime: Date.now() - startTime
+        };
+        
+        if (includeSpam) {
+            response.spamTokens = wallets.flatMap(w => w.spamTokens.map(t => ({ ...t, address: w.address })));
+        }
+        
+        logger.info('Portfolio built', { wallets: wallets.length, durationMs: response.responseTime });
+        res.json(response);
+        
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Portfolio request failed', { error });
+        res.status(500).json({
+            error: 'Failed to fetch portfolio',
+            message: error.message,
+            responseTime: Date.now() - startTime
+        });
+    }
+});
+
+// ============================================
+// TOKEN BALANCES (ALCHEMY, RPC LOG FALLBACK)
+// ============================================
+
+// Balances are carried as raw integer strings (rawBalance) next to the
+// formatted balance, and USD values are computed in fixed point from the raw
+// amount, so 0-decimal tokens and very large or tiny holdings stay exact.
+// Balances under NATIVE_DUST_THRESHOLD / TOKEN_DUST_THRESHOLD (decimal
+// strings, in whole units) are dropped.
+
+const USD_PRECISION = 18;
+
+function parseDustThreshold(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    if (!/^\d+(\.\d+)?$/.test(value)) {
+        logger.warn('Ignoring invalid dust threshold, expected a plain decimal like 0.000001', { setting: name, value });
+        return fallback;
+    }
+    return value;
+}
+
+const NATIVE_DUST_THRESHOLD = parseDustThreshold('NATIVE_DUST_THRESHOLD', '0.000001');
+const TOKEN_DUST_THRESHOLD = parseDustThreshold('TOKEN_DUST_THRESHOLD', '0.000000001');
+
+// Decimal string to base units, dropping digits the token can't represent
+function toRawAmount(amount, decimals) {
+    const [whole, fraction = ''] = String(amount).split('.');
+    const kept = fraction.slice(0, decimals);
+    return ethers.parseUnits(kept ? `${whole}.${kept}` : whole, decimals);
+}
+
+function isDust(rawBalance, decimals, threshold) {
+    return rawBalance === 0n || rawBalance < toRawAmount(threshold, decimals);
+}
+
+// Tokens cached before rawBalance existed only have the formatted balance
+function getRawBalance(token) {
+    return token.rawBalance !== undefined ?
+        BigInt(token.rawBalance) :
+        toRawAmount(token.balance, token.decimals ?? 18);
+}
+
+// rawBalance × price in fixed point; the float only appears in the result
+function computeUsdValue(rawBalance, decimals, price) {
+    if (!price || !Number.isFinite(price)) return 0;
+    const scaledPrice = ethers.parseUnits(price.toFixed(USD_PRECISION), USD_PRECISION);
+    const value = BigInt(rawBalance) * scaledPrice / 10n ** BigInt(decimals);
+    return parseFloat(ethers.formatUnits(value, USD_PRECISION));
+}
+
+async function fetchTokensSafe(address, chain, report) {
+    try {
+        const tokens = [];
+        
+        // Check the chain has RPC endpoints
+        if (!rpcEndpoints[chain]?.length) {
+            logger.warn('No RPC endpoints for chain', { chain, address, source: 'rpc' });
+            recordSourceError(report, 'rpc', Object.assign(new Error(`No RPC endpoints for ${chain}`), { code: 'NO_ENDPOINTS' }));
+            return [];
+        }
+        
+        const config = CHAIN_MAP[chain];
+        
+        // Get native balance with timeout
+        try {
+            const balancePromise = withRpcFailover(chain, ep => ep.provider.getBalance(address));
+            const balance = await Promise.race([
+                balancePromise,
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), config.timeout))
+            ]);
+            
+            const ethFormatted = ethers.formatEther(balance);
+            
+            if (!isDust(balance, 18, NATIVE_DUST_THRESHOLD)) {
+                tokens.push({
+                    name: config.native.name,
+                    symbol: config.native.symbol,
+                    balance: ethFormatted,
+                    rawBalance: balance.toString(),
+                    decimals: 18,
+                    price: 0,
+                    usdValue: 0,
+                    chain,
+                    chainEmoji: config.emoji,
+                    isNative: true,
+                    logo: config.native.logo
+                });
+            }
+        } catch (error) {
+            logger.warn('Native balance lookup failed', { chain, address, source: 'rpc', error });
+            recordSourceError(report, 'native', error);
+        }
+        
+        // Get ERC-20 tokens - Alchemy's indexed API when available, otherwise
+        // standard eth_getLogs + Multicall3 discovery that works on any EVM node
+        const useAlchemy = process.env.TOKEN_DISCOVERY !== 'logs' &&
+            getAvailableEndpoints(chain, { alchemyOnly: true }).length > 0;
+        
+        if (useAlchemy) {
+            try {
+                const found = await fetchAlchemyTokenBalances(address, chain);
+                await flagAirdroppedTokens(address, chain, found);
+                tokens.push(...found);
+                logger.debug('Fetched tokens', { chain, address, source: 'alchemy', count: tokens.length });
+                return tokens;
+            } catch (error) {
+                logger.warn('Alchemy token lookup failed, falling back to logs', { chain, address, source: 'alchemy', error });
+            }
+        }
+        
+        try {
+            const { tokens: found, inbound, scanned } = await fetchTokenBalancesFromLogs(address, chain);
+            await flagAirdroppedTokens(address, chain, found, inbound);
+            tokens.push(...found);
+            if (scanned && report) {
+                report.partial = { reason: 'LOOKBACK_LIMITED', scannedBlocks: scanned };
+            }
+            logger.debug('Fetched tokens', { chain, address, source: 'logs', count: tokens.length });
+        } catch (error) {
+            logger.warn('ERC-20 balance lookup failed', { chain, address, error });
+            recordSourceError(report, 'erc20', error);
+        }
+        
+        return tokens;
+        
+    } catch (error) {
+        logger.error('Token fetch failed', { chain, address, error });
+        recordSourceError(report, 'tokens', error);
+        return [];
+    }
+}
+
+async function fetchAlchemyTokenBalances(address, chain) {
+    const config = CHAIN_MAP[chain];
+    const tokens = [];
+    
+    const balancesResult = await rpcRequest(chain, 'alchemy_getTokenBalances', [address], {
+        alchemyOnly: true,
+        timeout: 10000
+    });
+    
+    if (balancesResult?.tokenBalances) {
+        const nonZeroBalances = balancesResult.tokenBalances.filter(
+            tb => tb.tokenBalance && tb.tokenBalance !== '0x0'
+        );
+        
+        // Process ALL tokens - no limits
+        const metadataByContract = await getTokenMetadata(chain, nonZeroBalances.map(tb => tb.contractAddress));
+        
+        nonZeroBalances.forEach(tb => {
+            const metadata = metadataByContract[tb.contractAddress];
+            if (!metadata) return;
+            
+            // ?? rather than || so 0-decimal tokens keep their decimals
+            const decimals = metadata.decimals ?? 18;
+            const rawBalance = BigInt(tb.tokenBalance);
+            if (isDust(rawBalance, decimals, TOKEN_DUST_THRESHOLD)) return;
+            
+            tokens.push({
+                name: metadata.name || 'Unknown',
+                symbol: metadata.symbol || 'UNKNOWN',
+                balance: ethers.formatUnits(rawBalance, decimals),
+                rawBalance: rawBalance.toString(),
+                decimals,
+                contractAddress: tb.contractAddress,
+                chain,
+                chainEmoji: config.emoji,
+                logo: metadata.logo || '',
+                price: 0,
+                usdValue: 0
+            });
+        });
+    }
+    
+    return tokens;
+}
+
+// ============================================
+// TOKEN DISCOVERY (STANDARD JSON-RPC)
+// ============================================
+
+// Fallback for nodes without alchemy_* methods (Infura, public RPCs, Anvil,
+// Hardhat): find token contracts from incoming ERC-20 Transfer logs, then read
+// balances and metadata through Multicall3. Chains without Multicall3 (set
+// "multicall3": null in config, e.g. a fresh Anvil node) use plain eth_calls.
+// Only the last TOKEN_LOG_LOOKBACK_BLOCKS (or the chain's logLookbackBlocks)
+// are scanned; when that doesn't reach genesis the source is reported as
+// partial with the scanned range, since tokens received earlier are missed.
+
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+const TOKEN_LOG_LOOKBACK_BLOCKS = parseInt(process.env.TOKEN_LOG_LOOKBACK_BLOCKS) || 100000;
+const TOKEN_LOG_CHUNK_SIZE = parseInt(process.env.TOKEN_LOG_CHUNK_SIZE) || 10000;
+
+const erc20Interface = new ethers.Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function name() view returns (string)'
+]);
+
+const multicallInterface = new ethers.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+function getMulticallAddress(chain) {
+    const config = CHAIN_MAP[chain];
+    return config.multicall3 === undefined ? MULTICALL3_ADDRESS : config.multicall3;
+}
+
+// Executes read-only calls as [{ target, callData }] and returns
+// [{ success, returnData }] in the same order
+async function multicall(chain, calls) {
+    const multicallAddress = getMulticallAddress(chain);
+    
+    if (multicallAddress) {
+        try {
+            const results = [];
+            const chunkSize = 200;
+            for (let i = 0; i < calls.length; i += chunkSize) {
+                const chunk = calls.slice(i, i + chunkSize);
+                const data = multicallInterface.encodeFunctionData('aggregate3', [
+                    chunk.map(call => ({ target: call.target, allowFailure: true, callData: call.callData }))
+                ]);
+                
+                const raw = await rpcRequest(chain, 'eth_call', [{ to: multicallAddress, data }, 'latest']);
+                const [decoded] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+                results.push(...decoded.map(r => ({ success: r.success, returnData: r.returnData })));
+            }
+            return results;
+        } catch (error) {
+            logger.warn('Multicall3 failed, using individual calls', { chain, source: 'rpc', error });
+        }
+    }
+    
+    const results = [];
+    const batchSize = 10;
+    for (let i = 0; i < calls.length; i += batchSize) {
+        const batch = calls.slice(i, i + batchSize);
+        const batchResults = await Promise.all(batch.map(async (call) => {
+            try {
+                const returnData = await rpcRequest(chain, 'eth_call', [{ to: call.target, data: call.callData }, 'latest']);
+                return { success: true, returnData };
+            } catch (err) {
+                return { success: false, returnData: '0x' };
+            }
+        }));
+        results.push(...batchResults);
+    }
+    return results;
+}
+
+// Some older tokens (MKR, SAI) return bytes32 instead of string for name/symbol
+function decodeStringResult(fragment, result) {
+    if (!result.success || result.returnData === '0x') return null;
+    try {
+        return erc20Interface.decodeFunctionResult(fragment, result.returnData)[0];
+    } catch (err) {
+        try {
+            return ethers.decodeBytes32String(ethers.dataSlice(result.returnData, 0, 32));
+        } catch (err2) {
+            return null;
+        }
+    }
+}
+
+function decodeUintResult(fragment, result) {
+    if (!result.success || result.returnData === '0x') return null;
+    try {
+        return erc20Interface.decodeFunctionResult(fragment, result.returnData)[0];
+    } catch (err) {
+        return null;
+    }
+}
+
+async function discoverTokenContractsFromLogs(address, chain) {
+    const config = CHAIN_MAP[chain];
+    const lookback = config.logLookbackBlocks || TOKEN_LOG_LOOKBACK_BLOCKS;
+    const chunkSize = config.logChunkSize || TOKEN_LOG_CHUNK_SIZE;
+    
+    const latestBlock = parseInt(await rpcRequest(chain, 'eth_blockNumber', []), 16);
+    const startBlock = Math.max(0, latestBlock - lookback);
+    const paddedAddress = ethers.zeroPadValue(address, 32);
+    
+    const ranges = [];
+    for (let from = startBlock; from <= latestBlock; from += chunkSize) {
+        ranges.push([from, Math.min(from + chunkSize - 1, latestBlock)]);
+    }
+    
+    // Contract => a transaction that sent it to the wallet (for the airdrop check)
+    const contracts = new Map();
+    const concurrency = 3;
+    for (let i = 0; i < ranges.length; i += concurrency) {
+        await Promise.all(ranges.slice(i, i + concurrency).map(async ([from, to]) => {
+            try {
+                const logs = await rpcRequest(chain, 'eth_getLogs', [{
+                    fromBlock: ethers.toQuantity(from),
+                    toBlock: ethers.toQuantity(to),
+                    topics: [TRANSFER_TOPIC, null, paddedAddress]
+                }]);
+                
+                // ERC-721 uses the same event signature but indexes tokenId (4 topics)
+                logs.filter(log => log.topics.length === 3).forEach(log => {
+                    const contract = ethers.getAddress(log.address);
+                    if (!contracts.has(contract)) contracts.set(contract, log.transactionHash);
+                });
+            } catch (err) {
+                logger.warn('getLogs range failed', { chain, address, source: 'rpc', fromBlock: from, toBlock: to, error: err });
+            }
+        }));
+    }
+    
+    return { contracts, fromBlock: startBlock, toBlock: latestBlock };
+}
+
+// Returns { tokens, inbound, scanned } - inbound maps lowercase contract =>
+// delivering tx; scanned is the block range searched, or null if it reached genesis
+async function fetchTokenBalancesFromLogs(address, chain) {
+    const config = CHAIN_MAP[chain];
+    const { contracts: discovered, fromBlock, toBlock } = await discoverTokenContractsFromLogs(address, chain);
+    const contracts = [...discovered.keys()];
+    const inbound = new Map([...discovered].map(([contract, txHash]) => [contract.toLowerCase(), txHash]));
+    const scanned = fromBlock > 0 ? { fromBlock, toBlock } : null;
+    if (contracts.length === 0) return { tokens: [], inbound, scanned };
+    
+    const balanceResults = await multicall(chain, contracts.map(target => ({
+        target,
+        callData: erc20Interface.encodeFunctionData('balanceOf', [address])
+    })));
+    
+    const held = contracts
+        .map((contractAddress, i) => ({ contractAddress, rawBalance: decodeUintResult('balanceOf', balanceResults[i]) }))
+        .filter(t => t.rawBalance !== null && t.rawBalance > 0n);
+    
+    logger.debug('Discovered tokens via logs', { chain, address, held: held.length, contracts: contracts.length });
+    if (held.length === 0) return { tokens: [], inbound, scanned };
+    
+    const metadataByContract = await getTokenMetadata(chain, held.map(t => t.contractAddress));
+    
+    const tokens = held.map(t => {
+        const metadata = metadataByContract[t.contractAddress] || {};
+        const decimals = metadata.decimals ?? 18;
+        if (isDust(t.rawBalance, decimals, TOKEN_DUST_THRESHOLD)) return null;
+        
+        return {
+            name: metadata.name || 'Unknown',
+            symbol: metadata.symbol || 'UNKNOWN',
+            balance: ethers.formatUnits(t.rawBalance, decimals),
+            rawBalance: t.rawBalance.toString(),
+            decimals,
+            contractAddress: t.contractAddress,
+            chain,
+            chainEmoji: config.emoji,
+            logo: metadata.logo || '',
+            price: 0,
+            usdValue: 0
+        };
+    }).filter(t => t !== null);
+    return { tokens, inbound, scanned };
+}
+
+// ============================================
+// TOKEN METADATA STORE
+// ============================================
+
+// Token name/symbol/decimals/logo never change, so they are persisted per
+// chain+contract. Misses are resolved in one JSON-RPC batch of
+// alchemy_getTokenMetadata where Alchemy is available, otherwise via Multicall3.
+
+const tokenMetadataStore = createJsonStore('token-metadata');
+
+function tokenMetadataKey(chain, contractAddress) {
+    return `${chain}:${contractAddress.toLowerCase()}`;
+}
+
+// A failed batch ends the lookup but keeps what earlier batches found; the
+// caller falls back to Multicall for the rest
+async function fetchMetadataFromAlchemy(chain, contracts) {
+    const metadata = {};
+    const batchSize = 100;
+    
+    for (let i = 0; i < contracts.length; i += batchSize) {
+        const batch = contracts.slice(i, i + batchSize);
+        let results;
+        try {
+            results = await rpcBatchRequest(chain, batch.map(contractAddress => ({
+                method: 'alchemy_getTokenMetadata',
+                params: [contractAddress]
+            })), { alchemyOnly: true, timeout: 10000 });
+        } catch (error) {
+            logger.warn('Alchemy metadata lookup failed', { chain, source: 'alchemy', error });
+            break;
+        }
+        
+        batch.forEach((contractAddress, j) => {
+            if (results[j]) {
+                metadata[contractAddress] = {
+                    name: results[j].name || null,
+                    symbol: results[j].symbol || null,
+                    decimals: results[j].decimals ?? null,
+                    logo: results[j].logo || ''
+                };
+            }
+        });
+    }
+    
+    return metadata;
+}
+
+async function fetchMetadataFromMulticall(chain, contracts) {
+    const calls = contracts.flatMap(target => ['decimals', 'symbol', 'name'].map(fn => ({
+        target,
+        callData: erc20Interface.encodeFunctionData(fn, [])
+    })));
+    const results = await multicall(chain, calls);
+    
+    const metadata = {};
+    contracts.forEach((contractAddress, i) => {
+        const decimals = decodeUintResult('decimals', results[i * 3]);
+        const symbol = decodeStringResult('symbol', results[i * 3 + 1]);
+        const name = decodeStringResult('name', results[i * 3 + 2]);
+        
+        // Nothing answered - not an ERC-20 (or the node is down); don't persist
+        if (decimals === null && !symbol && !name) return;
+        
+        metadata[contractAddress] = {
+            name,
+            symbol,
+            decimals: decimals === null ? null : Number(decimals),
+            logo: ''
+        };
+    });
+    
+    return metadata;
+}
+
+async function fetchMissingMetadata(chain, misses) {
+    const fetched = getAvailableEndpoints(chain, { alchemyOnly: true }).length > 0 ?
+        await fetchMetadataFromAlchemy(chain, misses) : {};
+    
+    const stillMissing = misses.filter(contractAddress => !fetched[contractAddress]);
+    if (stillMissing.length > 0) {
+        Object.assign(fetched, await fetchMetadataFromMulticall(chain, stillMissing));
+    }
+    
+    Object.entries(fetched).forEach(([contractAddress, metadata]) => {
+        tokenMetadataStore.set(tokenMetadataKey(chain, contractAddress), { ...metadata, updatedAt: Date.now() });
+    });
+    
+    return fetched;
+}
+
+// Lookups already in flight (e.g. two wallets holding the same token) are
+// shared rather than repeated
+const pendingTokenMetadata = new Map();
+
+// Returns { [contractAddress]: { name, symbol, decimals, logo } } for the given contracts
+async function getTokenMetadata(chain, contracts) {
+    const result = {};
+    const misses = [];
+    const waiting = [];
+    
+    contracts.forEach(contractAddress => {
+        const key = tokenMetadataKey(chain, contractAddress);
+        const stored = tokenMetadataStore.get(key);
+        if (stored) {
+            result[contractAddress] = stored;
+        } else if (pendingTokenMetadata.has(key)) {
+            waiting.push([contractAddress, pendingTokenMetadata.get(key)]);
+        } else {
+            misses.push(contractAddress);
+        }
+    });
+    
+    if (misses.length === 0 && waiting.length === 0) return result;
+    
+    let fetched = {};
+    if (misses.length > 0) {
+        const lookup = fetchMissingMetadata(chain, misses);
+        misses.forEach(contractAddress => {
+            pendingTokenMetadata.set(
+                tokenMetadataKey(chain, contractAddress),
+                lookup.then(found => found[contractAddress] || null, () => null)
+            );
+        });
+        
+        try {
+            fetched = await lookup;
+        } finally {
+            misses.forEach(contractAddress => pendingTokenMetadata.delete(tokenMetadataKey(chain, contractAddress)));
+        }
+        Object.assign(result, fetched);
+    }
+    
+    for (const [contractAddress, pending] of waiting) {
+        const metadata = await pending;
+        if (metadata) result[contractAddress] = metadata;
+    }
+    
+    logger.debug('Token metadata resolved', { chain, stored: contracts.length - misses.length - waiting.length, fetched: Object.keys(fetched).length, shared: waiting.length });
+    return result;
+}
+
+// ============================================
+// DEFI POSITIONS
+// ============================================
+
+// Protocol adapters read positions straight from the contracts listed in
+// config/defi-protocols.json (override with DEFI_PROTOCOLS_CONFIG). Each
+// adapter returns positions whose assets are raw amounts; valuePositions
+// then attaches symbols, decimals and USD values through the token metadata
+// store and the pricing engine. Receipt tokens (aTokens, stETH, ...) are
+// reported so the wallet total doesn't count them twice.
+
+const DEFI_TIMEOUT_MS = 15000;
+const UNISWAP_MAX_POSITIONS = 50;
+const MAX_UINT128 = (1n << 128n) - 1n;
+
+function loadDefiProtocols() {
+    const configPath = path.resolve(process.env.DEFI_PROTOCOLS_CONFIG || path.join(__dirname, 'config', 'defi-protocols.json'));
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+}
+
+const DEFI_PROTOCOLS = loadDefiProtocols();
+
+const defiInterface = new ethers.Interface([
+    // Aave V3
+    'function getUserAccountData(address user) view returns (uint256 totalCollateralBase, uint256 totalDebtBase, uint256 availableBorrowsBase, uint256 currentLiquidationThreshold, uint256 ltv, uint256 healthFactor)',
+    'function POOL() view returns (address)',
+    'function UNDERLYING_ASSET_ADDRESS() view returns (address)',
+    'function getAllUserRewards(address[] assets, address user) view returns (address[] rewardsList, uint256[] unclaimedAmounts)',
+    // Compound V3
+    'function baseToken() view returns (address)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function borrowBalanceOf(address account) view returns (uint256)',
+    'function numAssets() view returns (uint8)',
+    'function getAssetInfo(uint8 i) view returns ((uint8 offset, address asset, address priceFeed, uint64 scale, uint64 borrowCollateralFactor, uint64 liquidateCollateralFactor, uint64 liquidationFactor, uint128 supplyCap))',
+    'function collateralBalanceOf(address account, address asset) view returns (uint128)',
+    'function getRewardOwed(address comet, address account) returns ((address token, uint256 owed))',
+    // Uniswap V3
+    'function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)',
+    'function positions(uint256 tokenId) view returns (uint96 nonce, address operator, address token0, address token1, uint24 fee, int24 tickLower, int24 tickUpper, uint128 liquidity, uint256 feeGrowthInside0LastX128, uint256 feeGrowthInside1LastX128, uint128 tokensOwed0, uint128 tokensOwed1)',
+    'function collect((uint256 tokenId, address recipient, uint128 amount0Max, uint128 amount1Max) params) returns (uint256 amount0, uint256 amount1)',
+    'function getPool(address tokenA, address tokenB, uint24 fee) view returns (address)',
+    'function slot0() view returns (uint160 sqrtPriceX96, int24 tick, uint16 observationIndex, uint16 observationCardinality, uint16 observationCardinalityNext, uint8 feeProtocol, bool unlocked)',
+    // Lido
+    'function stEthPerToken() view returns (uint256)',
+    'function getWithdrawalRequests(address owner) view returns (uint256[] requestIds)',
+    'function getWithdrawalStatus(uint256[] requestIds) view returns ((uint256 amountOfStETH, uint256 amountOfShares, address owner, uint256 timestamp, bool isFinalized, bool isClaimed)[] statuses)',
+    // Pendle
+    'function positionData(address user) view returns (uint128 amount, uint128 expiry)'
+]);
+
+// Batched calls through Multicall3; each result is the decoded Result or null
+async function callMany(chain, calls) {
+    if (calls.length === 0) return [];
+    
+    const results = await multicall(chain, calls.map(call => ({
+        target: call.target,
+        callData: defiInterface.encodeFunctionData(call.method, call.args || [])
+    })));
+    
+    return results.map((result, i) => {
+        if (!result.success || result.returnData === '0x') return null;
+        try {
+            return defiInterface.decodeFunctionResult(calls[i].method, result.returnData);
+        } catch (error) {
+            return null;
+        }
+    });
+}
+
+function createPosition(protocol, chain, type, fields = {}) {
+    return {
+        protocol,
+        protocolName: DEFI_PROTOCOLS[protocol].name,
+        chain,
+        chainEmoji: CHAIN_MAP[chain].emoji,
+        type,
+        supplied: [],
+        borrowed: [],
+        rewards: [],
+        receiptTokens: [],
+        ...fields
+    };
+}
+
+const defiAdapters = {
+    // Supplied/borrowed per asset come from the wallet's aTokens and debt
+    // tokens; totals and health factor from the pool itself
+    'aave-v3': async (address, chain, config, tokens) => {
+        const candidates = tokens.filter(t => !t.isNative);
+        const results = await callMany(chain, [
+            { target: config.pool, method: 'getUserAccountData', args: [address] },
+            ...candidates.flatMap(t => [
+                { target: t.contractAddress, method: 'POOL' },
+                { target: t.contractAddress, method: 'UNDERLYING_ASSET_ADDRESS' }
+            ])
+        ]);
+        
+        const account = results[0];
+        if (!account || (account.totalCollateralBase === 0n && account.totalDebtBase === 0n)) return [];
+        
+        const position = createPosition('aave-v3', chain, 'lending', {
+            healthFactor: account.totalDebtBase > 0n ? parseFloat(ethers.formatUnits(account.healthFactor, 18)) : null,
+            details: {
+                // Aave V3 reports account totals in USD with 8 decimals
+                totalCollateralUsd: parseFloat(ethers.formatUnits(account.totalCollateralBase, 8)),
+                totalDebtUsd: parseFloat(ethers.formatUnits(account.totalDebtBase, 8))
+            }
+        });
+        
+        candidates.forEach((token, i) => {
+            const pool = results[1 + i * 2]?.[0];
+            const underlying = results[2 + i * 2]?.[0];
+            if (!pool || !underlying || pool.toLowerCase() !== config.pool.toLowerCase()) return;
+            
+            const isDebt = /^(variable|stable)Debt/i.test(token.symbol);
+            (isDebt ? position.borrowed : position.supplied).push({
+                contractAddress: underlying,
+                raw: getRawBalance(token)
+            });
+            position.receiptTokens.push(token.contractAddress);
+        });
+        
+        if (config.rewardsController && position.receiptTokens.length > 0) {
+            const [rewards] = await callMany(chain, [{
+                target: config.rewardsController,
+                method: 'getAllUserRewards',
+                args: [position.receiptTokens, address]
+            }]);
+            rewards?.rewardsList.forEach((reward, i) => {
+                if (rewards.unclaimedAmounts[i] > 0n) {
+                    position.rewards.push({ contractAddress: reward, raw: rewards.unclaimedAmounts[i] });
+                }
+            });
+        }
+        
+        // Receipt tokens weren't discovered (e.g. token discovery failed) - fall back to pool totals
+        if (position.supplied.length === 0 && position.borrowed.length === 0) {
+            position.supplied.push({ contractAddress: null, symbol: 'Collateral', amount: null, usdValue: position.details.totalCollateralUsd });
+            if (position.details.totalDebtUsd > 0) {
+                position.borrowed.push({ contractAddress: null, symbol: 'Debt', amount: null, usdValue: position.details.totalDebtUsd });
+            }
+        }
+        
+        return [position];
+    },
+    
+    'compound-v3': async (address, chain, config) => {
+        const markets = config.markets;
+        const basics = await callMany(chain, markets.flatMap(market => [
+            { target: market, method: 'baseToken' },
+            { target: market, method: 'balanceOf', args: [address] },
+            { target: market, method: 'borrowBalanceOf', args: [address] },
+            { target: market, method: 'numAssets' }
+        ]));
+        
+        const assetInfoCalls = [];
+        markets.forEach((market, m) => {
+            const count = Number(basics[m * 4 + 3]?.[0] || 0);
+            for (let i = 0; i < count; i++) {
+                assetInfoCalls.push({ market, call: { target: market, method: 'getAssetInfo', args: [i] } });
+            }
+        });
+        const assetInfos = await callMany(chain, assetInfoCalls.map(a => a.call));
+        
+        const collateralCalls = assetInfoCalls
+            .map((a, i) => assetInfos[i] && { market: a.market, asset: assetInfos[i][0].asset })
+            .filter(Boolean);
+        const collateralBalances = await callMany(chain, collateralCalls.map(c => ({
+            target: c.market,
+            method: 'collateralBalanceOf',
+            args: [address, c.asset]
+        })));
+        
+        const positions = [];
+        markets.forEach((market, m) => {
+            const baseToken = basics[m * 4]?.[0];
+            const supplied = basics[m * 4 + 1]?.[0] || 0n;
+            const borrowed = basics[m * 4 + 2]?.[0] || 0n;
+            const position = createPosition('compound-v3', chain, 'lending', { details: { market } });
+            
+            if (baseToken && supplied > 0n) position.supplied.push({ contractAddress: baseToken, raw: supplied });
+            if (baseToken && borrowed > 0n) position.borrowed.push({ contractAddress: baseToken, raw: borrowed });
+            collateralCalls.forEach((c, i) => {
+                const balance = collateralBalances[i]?.[0] || 0n;
+                if (c.market === market && balance > 0n) {
+                    position.supplied.push({ contractAddress: c.asset, raw: balance });
+                }
+            });
+            
+            if (position.supplied.length || position.borrowed.length) {
+                // The market contract is itself the receipt token for the base asset
+                position.receiptTokens.push(market);
+                positions.push(position);
+            }
+        });
+        
+        if (config.rewards && positions.length > 0) {
+            const owed = await callMany(chain, positions.map(p => ({
+                target: config.rewards,
+                method: 'getRewardOwed',
+                args: [p.details.market, address]
+            })));
+            positions.forEach((position, i) => {
+                const reward = owed[i]?.[0];
+                if (reward && reward.owed > 0n) {
+                    position.rewards.push({ contractAddress: reward.token, raw: reward.owed });
+                }
+            });
+        }
+        
+        return positions;
+    },
+    
+    // Each position NFT becomes a liquidity position split into its two
+    // tokens at the pool's current price, with uncollected fees as rewards
+    'uniswap-v3': async (address, chain, config) => {
+        const [balance] = await callMany(chain, [{ target: config.positionManager, method: 'balanceOf', args: [address] }]);
+        const count = Math.min(Number(balance?.[0] || 0), UNISWAP_MAX_POSITIONS);
+        if (count === 0) return [];
+        
+        const tokenIds = (await callMany(chain, Array.from({ length: count }, (_, i) => ({
+            target: config.positionManager,
+            method: 'tokenOfOwnerByIndex',
+            args: [address, i]
+        })))).filter(Boolean).map(r => r[0]);
+        
+        const details = await callMany(chain, tokenIds.map(id => ({ target: config.positionManager, method: 'positions', args: [id] })));
+        const active = tokenIds
+            .map((tokenId, i) => ({ tokenId, info: details[i] }))
+            .filter(p => p.info && (p.info.liquidity > 0n || p.info.tokensOwed0 > 0n || p.info.tokensOwed1 > 0n));
+        if (active.length === 0) return [];
+        
+        const pools = await callMany(chain, active.map(p => ({
+            target: config.factory,
+            method: 'getPool',
+            args: [p.info.token0, p.info.token1, p.info.fee]
+        })));
+        const slots = await callMany(chain, pools.map(pool => ({ target: pool?.[0] || ethers.ZeroAddress, method: 'slot0' })));
+        
+        // collect() as a static call from the owner is the only exact read of uncollected fees
+        const fees = await Promise.all(active.map(p => rpcRequest(chain, 'eth_call', [{
+            from: address,
+            to: config.positionManager,
+            data: defiInterface.encodeFunctionData('collect', [[p.tokenId, address, MAX_UINT128, MAX_UINT128]])
+        }, 'latest']).then(result => defiInterface.decodeFunctionResult('collect', result)).catch(() => null)));
+        
+        return active.map((p, i) => {
+            const { token0, token1, fee, tickLower, tickUpper, liquidity } = p.info;
+            const slot = slots[i];
+            const position = createPosition('uniswap-v3', chain, 'liquidity', {
+                details: {
+                    tokenId: p.tokenId.toString(),
+                    pool: pools[i]?.[0] || null,
+                    feeTier: Number(fee) / 10000,
+                    tickLower: Number(tickLower),
+                    tickUpper: Number(tickUpper),
+                    currentTick: slot ? Number(slot.tick) : null,
+                    inRange: slot ? Number(slot.tick) >= Number(tickLower) && Number(slot.tick) < Number(tickUpper) : null
+                }
+            });
+            
+            if (slot && liquidity > 0n) {
+                const [amount0, amount1] = getLiquidityAmounts(liquidity, slot.sqrtPriceX96, Number(tickLower), Number(tickUpper));
+                position.supplied.push({ contractAddress: token0, raw: amount0 }, { contractAddress: token1, raw: amount1 });
+            }
+            
+            const owed0 = fees[i] ? fees[i].amount0 : p.info.tokensOwed0;
+            const owed1 = fees[i] ? fees[i].amount1 : p.info.tokensOwed1;
+            if (owed0 > 0n) position.rewards.push({ contractAddress: token0, raw: owed0 });
+            if (owed1 > 0n) position.rewards.push({ contractAddress: token1, raw: owed1 });
+            
+            return position;
+        });
+    },
+    
+    // stETH and wstETH are valued as held; pending withdrawal requests are
+    // ETH the wallet no longer holds as a token, so they're added separately
+    'lido': async (address, chain, config) => {
+        const calls = [];
+        if (config.stETH) calls.push({ key: 'stETH', target: config.stETH, method: 'balanceOf', args: [address] });
+        if (config.wstETH) calls.push({ key: 'wstETH', target: config.wstETH, method: 'balanceOf', args: [address] });
+        if (config.withdrawalQueue) calls.push({ key: 'withdrawals', target: config.withdrawalQueue, method: 'getWithdrawalRequests', args: [address] });
+        
+        const results = await callMany(chain, calls);
+        const byKey = Object.fromEntries(calls.map((c, i) => [c.key, results[i]?.[0]]));
+        const position = createPosition('lido', chain, 'staking');
+        
+        ['stETH', 'wstETH'].forEach(key => {
+            if (byKey[key] > 0n) {
+                position.supplied.push({ contractAddress: config[key], raw: byKey[key] });
+                position.receiptTokens.push(config[key]);
+            }
+        });
+        
+        const requestIds = byKey.withdrawals ? [...byKey.withdrawals] : [];
+        if (requestIds.length > 0) {
+            const [statuses] = await callMany(chain, [{ target: config.withdrawalQueue, method: 'getWithdrawalStatus', args: [requestIds] }]);
+            const pending = (statuses?.[0] || []).filter(s => !s.isClaimed);
+            const pendingAmount = pending.reduce((sum, s) => sum + s.amountOfStETH, 0n);
+            if (pendingAmount > 0n) {
+                position.supplied.push({ contractAddress: config.stETH, raw: pendingAmount, label: 'withdrawal request' });
+                position.details = {
+                    pendingWithdrawals: pending.length,
+                    claimableWithdrawals: pending.filter(s => s.isFinalized).length
+                };
+            }
+        }
+        
+        if (byKey.wstETH > 0n && rpcEndpoints.ethereum?.length) {
+            const mainnetWstETH = DEFI_PROTOCOLS.lido.chains.ethereum?.wstETH;
+            const [rate] = mainnetWstETH ? await callMany('ethereum', [{ target: mainnetWstETH, method: 'stEthPerToken' }]) : [];
+            if (rate) {
+                position.details = {
+                    ...position.details,
+                    wstETHInStETH: ethers.formatUnits(byKey.wstETH * rate[0] / 10n ** 18n, 18)
+                };
+            }
+        }
+        
+        return position.supplied.length ? [position] : [];
+    },
+    
+    // PT/YT/LP positions and their claimable rewards come from Pendle's
+    // dashboard API (valued there); vePENDLE locks are read on-chain
+    'pendle': async (address, chain, config) => {
+        const positions = [];
+        const { chainId } = CHAIN_MAP[chain];
+        const dashboard = await fetchPendleDashboard(address);
+        
+        (dashboard?.positions || []).filter(p => p.chainId === chainId).forEach(chainPositions => {
+            (chainPositions.openPositions || []).forEach(open => {
+                const market = String(open.marketId || '').split('-').pop();
+                const position = createPosition('pendle', chain, 'yield', { details: { market } });
+                
+                [['pt', 'PT'], ['yt', 'YT'], ['lp', 'LP']].forEach(([key, label]) => {
+                    const leg = open[key];
+                    if (leg?.valuation > 0) {
+                        position.supplied.push({ contractAddress: null, symbol: label, amount: null, usdValue: leg.valuation });
+                    }
+                    (leg?.claimTokenAmounts || []).forEach(claim => {
+                        const [, token] = String(claim.token).split('-');
+                        if (token && BigInt(claim.amount || 0) > 0n) {
+                            position.rewards.push({ contractAddress: token, raw: BigInt(claim.amount) });
+                        }
+                    });
+                });
+                
+                if (open.lp?.valuation > 0 && ethers.isAddress(market)) position.receiptTokens.push(market);
+                if (position.supplied.length || position.rewards.length) positions.push(position);
+            });
+        });
+        
+        if (config.vePendle) {
+            const [lock] = await callMany(chain, [{ target: config.vePendle, method: 'positionData', args: [address] }]);
+            if (lock && lock.amount > 0n) {
+                positions.push(createPosition('pendle', chain, 'staking', {
+                    supplied: [{ contractAddress: config.pendle, raw: lock.amount, label: 'vePENDLE lock' }],
+                    details: { unlocksAt: new Date(Number(lock.expiry) * 1000).toISOString() }
+                }));
+            }
+        }
+        
+        return positions;
+    }
+};
+
+// One dashboard call covers every chain, so it's shared across the per-chain adapter runs
+function fetchPendleDashboard(address) {
+    const cacheKey = `pendle_${address.toLowerCase()}`;
+    return coalesce(cacheKey, async () => {
+        const cached = await cache.get(cacheKey);
+        if (cached !== undefined) return cached;
+        
+        const response = await axios.get(`${DEFI_PROTOCOLS.pendle.api}/v1/dashboard/positions/database/${address}`, {
+            params: { filterUsd: 0.1 },
+            timeout: 8000
+        });
+        await cache.set(cacheKey, response.data, 120);
+        return response.data;
+    });
+}
+
+// Token amounts for a concentrated-liquidity position (Uniswap V3 whitepaper
+// eq. 6.29/6.30). Float math is plenty for display and valuation.
+function getLiquidityAmounts(liquidity, sqrtPriceX96, tickLower, tickUpper) {
+    const L = Number(liquidity);
+    const sqrtPrice = Number(sqrtPriceX96) / 2 ** 96;
+    const sqrtLower = Math.sqrt(1.0001 ** tickLower);
+    const sqrtUpper = Math.sqrt(1.0001 ** tickUpper);
+    
+    let amount0 = 0;
+    let amount1 = 0;
+    if (sqrtPrice <= sqrtLower) {
+        amount0 = L * (sqrtUpper - sqrtLower) / (sqrtLower * sqrtUpper);
+    } else if (sqrtPrice < sqrtUpper) {
+        amount0 = L * (sqrtUpper - sqrtPrice) / (sqrtPrice * sqrtUpper);
+        amount1 = L * (sqrtPrice - sqrtLower);
+    } else {
+        amount1 = L * (sqrtUpper - sqrtLower);
+    }
+    
+    return [BigInt(Math.floor(amount0)), BigInt(Math.floor(amount1))];
+}
+
+// Fills in symbol/amount/usdValue on every asset and the position totals
+async function valuePositions(chain, positions) {
+    const assets = positions.flatMap(p => [...p.supplied, ...p.borrowed, ...p.rewards]);
+    const contracts = [...new Set(assets.filter(a => a.contractAddress && a.raw !== undefined).map(a => a.contractAddress))];
+    
+    const [metadata, prices] = await Promise.all([
+        contracts.length ? getTokenMetadata(chain, contracts) : {},
+        contracts.length ? resolvePrices(contracts.map(contractAddress => ({ chain, contractAddress }))) : {}
+    ]);
+    
+    assets.forEach(asset => {
+        if (asset.raw === undefined) return;
+        const meta = metadata[asset.contractAddress] || {};
+        const price = prices[priceKey(chain, asset.contractAddress)]?.price || 0;
+        
+        asset.symbol = asset.symbol || meta.symbol || 'UNKNOWN';
+        asset.amount = ethers.formatUnits(asset.raw, meta.decimals ?? 18);
+        asset.usdValue = price ? computeUsdValue(asset.raw, meta.decimals ?? 18, price) : null;
+        delete asset.raw;
+    });
+    
+    const sum = (list) => list.reduce((total, a) => total + (a.usdValue || 0), 0);
+    positions.forEach(position => {
+        position.suppliedUsd = sum(position.supplied);
+        position.borrowedUsd = sum(position.borrowed);
+        position.rewardsUsd = sum(position.rewards);
+        position.netValueUsd = position.suppliedUsd + position.rewardsUsd - position.borrowedUsd;
+        position.receiptTokens = position.receiptTokens.map(a => a.toLowerCase());
+    });
+    
+    return positions;
+}
+
+// Totals for the wallet response. Wallet tokens that are receipts for a
+// position are flagged so clients can tell them apart from idle holdings.
+function summarizeDefiPositions(positions, tokens) {
+    const receipts = new Set(positions.flatMap(p => p.receiptTokens.map(a => `${p.chain}:${a}`)));
+    let receiptTokenValueUsd = 0;
+    tokens.forEach(token => {
+        if (!token.isNative && receipts.has(`${token.chain}:${token.contractAddress.toLowerCase()}`)) {
+            token.isDefiReceipt = true;
+            receiptTokenValueUsd += token.usdValue || 0;
+        }
+    });
+    
+    const sum = (field) => positions.reduce((total, p) => total + p[field], 0);
+    return {
+        positions,
+        suppliedUsd: sum('suppliedUsd'),
+        borrowedUsd: sum('borrowedUsd'),
+        rewardsUsd: sum('rewardsUsd'),
+        netValueUsd: sum('netValueUsd'),
+        receiptTokenValueUsd,
+        protocols: [...new Set(positions.map(p => p.protocol))]
+    };
+}
+
+async function fetchDefiPositionsSafe(address, chain, tokens, report) {
+    const protocols = Object.entries(DEFI_PROTOCOLS).filter(([id, protocol]) => protocol.chains[chain] && defiAdapters[id]);
+    if (protocols.length === 0 || !rpcEndpoints[chain]?.length) {
+        report.disabled = `No DeFi adapters for ${chain}`;
+        return [];
+    }
+    
+    const results = await Promise.all(protocols.map(async ([id, protocol]) => {
+        try {
+            return await defiAdapters[id](address, chain, protocol.chains[chain], tokens);
+        } catch (error) {
+            logger.warn('DeFi adapter failed', { chain, address, source: id, error });
+            recordSourceError(report, id, error);
+            return [];
+        }
+    }));
+    
+    const positions = await valuePositions(chain, results.flat());
+    report.hasData = positions.length > 0;
+    if (positions.length) {
+        logger.debug('DeFi positions found', { chain, address, count: positions.length });
+    }
+    return positions.sort((a, b) => Math.abs(b.netValueUsd) - Math.abs(a.netValueUsd));
+}
+
+// ============================================
+// NFT COLLECTIONS & FLOOR PRICES
+// ============================================
+
+// Floors can be in different currencies across chains, so rank by USD first
+function compareCollections(a, b) {
+    if (a.totalValueUsd !== b.totalValueUsd) return (b.totalValueUsd || 0) - (a.totalValueUsd || 0);
+    if (a.totalValue && !b.totalValue) return -1;
+    if (!a.totalValue && b.totalValue) return 1;
+    if (a.totalValue && b.totalValue) return b.totalValue - a.totalValue;
+    return b.nfts.length - a.nfts.length;
+}
+
+function hasNftApi(chain) {
+    return !!process.env.ALCHEMY_API_KEY && !!CHAIN_MAP[chain]?.nfts && !!CHAIN_MAP[chain]?.alchemyNetwork;
+}
+
+function getNftApiUrl(chain, method) {
+    return `https://${CHAIN_MAP[chain].alchemyNetwork}.g.alchemy.com/nft/v3/${process.env.ALCHEMY_API_KEY}/${method}`;
+}
+
+// Groups Alchemy ownedNfts into collections keyed by contract address
+function groupNftsIntoCollections(chain, ownedNfts) {
+    const collections = {};
+    
+    ownedNfts.forEach(nft => {
+        // VERY minimal spam filter - only filter the most egregious spam
+        const contractName = (nft.contract.name || '').toLowerCase();
+        if (contractName.includes('visit ') && contractName.includes('.com')) {
+            // Only skip if it has BOTH "visit " AND ".com" in the name
+            return;
+        }
+        
+        const key = nft.contract.address;
+        
+        if (!collections[key]) {
+            collections[key] = {
+                name: nft.contract.name || 'Unknown Collection',
+                address: key,
+                chain,
+                chainEmoji: CHAIN_MAP[chain].emoji,
+                nfts: [],
+                floorPrice: 0,
+                totalValue: 0,
+                totalValueUsd: 0
+            };
+        }
+        
+        // Try multiple image sources
+        let image = nft.image?.thumbnailUrl || 
+                   nft.image?.cachedUrl ||
+                   nft.image?.originalUrl ||
+                   nft.image?.pngUrl ||
+                   nft.image?.jpegUrl ||
+                   nft.media?.[0]?.thumbnail ||
+                   nft.media?.[0]?.gateway ||
+                   nft.metadata?.image ||
+                   nft.metadata?.image_url ||
+                   '';
+        
+        // Convert IPFS URLs to HTTP gateway
+        if (image && image.startsWith('ipfs://')) {
+            image = `https://ipfs.io/ipfs/${image.slice(7)}`;
+        }
+        
+        collections[key].nfts.push({
+            name: nft.name || nft.title || `#${nft.tokenId}`,
+            tokenId: nft.tokenId,
+            image,
+            largeImage: nft.image?.originalUrl || nft.image?.cachedUrl || image,
+            hasImage: !!image
+        });
+    });
+    
+    // Sort NFTs within each collection
+    Object.values(collections).forEach(c => {
+        c.nfts.sort((a, b) => {
+            if (a.hasImage && !b.hasImage) return -1;
+            if (!a.hasImage && b.hasImage) return 1;
+            return 0;
+        });
+    });
+    
+    return Object.values(collections);
+}
+
+// Floor prices are looked up per collection (getFloorPrice has no batch form),
+// FLOOR_PRICE_CONCURRENCY at a time, and cached per chain+contract
+const FLOOR_PRICE_CACHE_TTL = 600;
+const FLOOR_PRICE_CONCURRENCY = 10;
+const floorPriceCache = createCache('nftfloor', FLOOR_PRICE_CACHE_TTL);
+
+async function fetchFloorPrices(chain, contractAddresses) {
+    const results = {};
+    const misses = [];
+    
+    const cached = isRefreshRequest() ?
+        contractAddresses.map(() => undefined) :
+        await floorPriceCache.mget(contractAddresses.map(contractAddress => `${chain}:${contractAddress.toLowerCase()}`));
+    contractAddresses.forEach((contractAddress, i) => {
+        if (cached[i] !== undefined) {
+            results[contractAddress] = cached[i];
+        } else {
+            misses.push(contractAddress);
+        }
+    });
+    
+    for (let i = 0; i < misses.length; i += FLOOR_PRICE_CONCURRENCY) {
+        const batch = misses.slice(i, i + FLOOR_PRICE_CONCURRENCY);
+        await Promise.all(batch.map(async (contractAddress) => {
+            try {
+                const floorResponse = await axios.get(getNftApiUrl(chain, 'getFloorPrice'), {
+                    params: { contractAddress },
+                    timeout: 3000
+                });
+                results[contractAddress] = floorResponse.data || null;
+                await floorPriceCache.set(`${chain}:${contractAddress.toLowerCase()}`, results[contractAddress]);
+            } catch (error) {
+                // Leave uncached so the next request retries
+                results[contractAddress] = null;
+            }
+        }));
+    }
+    
+    return results;
+}
+
+// Marketplaces getFloorPrice can return, keyed by response field
+const NFT_MARKETPLACES = {
+    openSea: 'OpenSea',
+    looksRare: 'LooksRare'
+};
+
+// The lowest floor across marketplaces is what a holder could realistically
+// sell at. Marketplaces quote in different currencies (ETH, WETH, BLUR, ...),
+// so floors are compared in USD (currencyPrices: symbol -> USD) and those in a
+// currency without a price are skipped.
+function pickFloorPrice(floorData, currencyPrices) {
+    let best = null;
+    const floorPrices = {};
+    
+    Object.entries(floorData || {}).forEach(([key, market]) => {
+        if (!market || market.error || !(market.floorPrice > 0)) return;
+        floorPrices[key] = market.floorPrice;
+        const currency = market.priceCurrency || 'ETH';
+        const floorPriceUsd = market.floorPrice * (currencyPrices[currency.toUpperCase()] || 0);
+        if (!floorPriceUsd) return;
+        if (!best || floorPriceUsd < best.floorPriceUsd) {
+            best = {
+                floorPrice: market.floorPrice,
+                currency,
+                floorPriceUsd,
+                marketplace: NFT_MARKETPLACES[key] || key
+            };
+        }
+    });
+    
+    return best && { ...best, floorPrices };
+}
+
+// Lowest USD floor per contract for fetchFloorPrices results, pricing each
+// quoted currency once
+async function pickFloorPrices(chain, floors) {
+    const currencies = new Set();
+    Object.values(floors).forEach(floorData => Object.values(floorData || {}).forEach(market => {
+        if (market?.floorPrice > 0) currencies.add((market.priceCurrency || 'ETH').toUpperCase());
+    }));
+    
+    const currencyPrices = {};
+    for (const currency of currencies) {
+        currencyPrices[currency] = await getFloorCurrencyPrice(chain, currency);
+    }
+    return Object.fromEntries(Object.entries(floors).map(([contractAddress, floorData]) => [
+        contractAddress,
+        pickFloorPrice(floorData, currencyPrices)
+    ]));
+}
+
+// USD price of a floor currency - the chain's native token, or ETH priced on
+// whichever configured chain uses it natively
+async function getFloorCurrencyPrice(chain, currency) {
+    const symbol = (currency || '').toUpperCase();
+    if (symbol === CHAIN_MAP[chain].native.symbol) {
+        return getNativePrice(chain);
+    }
+    if (symbol === 'ETH' || symbol === 'WETH') {
+        const ethChain = CHAINS.find(c => c.native.coingeckoId === 'ethereum');
+        return ethChain ? getNativePrice(ethChain.id) : 0;
+    }
+    return 0;
+}
+
+async function applyFloorPrices(chain, collections) {
+    const floors = await pickFloorPrices(chain, await fetchFloorPrices(chain, collections.map(c => c.address)));
+    
+    for (const collection of collections) {
+        const floor = floors[collection.address];
+        if (!floor) continue;
+        
+        collection.floorPrice = floor.floorPrice;
+        collection.floorCurrency = floor.currency;
+        collection.floorPrices = floor.floorPrices;
+        collection.marketplace = floor.marketplace;
+        collection.totalValue = collection.floorPrice * collection.nfts.length;
+        collection.floorPriceUsd = floor.floorPriceUsd;
+        collection.totalValueUsd = floor.floorPriceUsd * collection.nfts.length;
+    }
+}
+
+const WALLET_NFT_FLOOR_LIMIT = 20;
+
+async function fetchNFTsSafe(address, chain, report) {
+    if (!hasNftApi(chain)) {
+        if (report) report.disabled = process.env.ALCHEMY_API_KEY ? `NFT API not enabled for ${chain}` : 'Alchemy not configured';
+        return [];
+    }
+    
+    try {
+        const url = getNftApiUrl(chain, 'getNFTsForOwner');
+        
+        const response = await axios.get(url, {
+            params: {
+                owner: address,
+                withMetadata: true,
+                pageSize: 500  // Increased to get ALL NFTs
+            },
+            timeout: 15000  // Increased timeout for more NFTs
+        });
+        
+        let collectionArray = [];
+        
+        if (response.data.ownedNfts) {
+            collectionArray = groupNftsIntoCollections(chain, response.data.ownedNfts);
+        }
+        
+        // Floor prices for the first WALLET_NFT_FLOOR_LIMIT collections, waiting
+        // at most 3s. Priced on copies so a lookup that finishes after the wait
+        // can't change collections that were already returned.
+        const priced = collectionArray.slice(0, WALLET_NFT_FLOOR_LIMIT).map(collection => ({ ...collection }));
+        await Promise.race([
+            applyFloorPrices(chain, priced),
+            new Promise(resolve => setTimeout(resolve, 3000))
+        ]);
+        priced.forEach((copy, i) => Object.assign(collectionArray[i], copy));
+        
+        // Sort by total value, then by number of NFTs
+        collectionArray.sort(compareCollections);
+        
+        logger.debug('Fetched NFT collections', { chain, address, source: 'alchemy', count: collectionArray.length });
+        return collectionArray;
+        
+    } catch (error) {
+        logger.warn('NFT fetch failed', { chain, address, source: 'alchemy', error });
+        recordSourceError(report, 'nfts', error);
+        return [];
+    }
+}
+
+// ============================================
+// NFT PORTFOLIO ENDPOINT
+// ============================================
+
+// /api/wallet/:address/nfts walks every getNFTsForOwner page (up to
+// NFT_MAX_PAGES per chain), prices every collection and serves the sorted
+// collection list in cursor pages. The full list is cached per address so
+// following cursors doesn't refetch.
+
+const NFT_PAGE_SIZE = 100;
+const NFT_MAX_PAGES = parseInt(process.env.NFT_MAX_PAGES) || 50;
+const NFT_COLLECTIONS_DEFAULT_LIMIT = 20;
+const NFT_COLLECTIONS_MAX_LIMIT = 100;
+
+async function fetchAllNfts(address, chain, report) {
+    if (!hasNftApi(chain)) {
+        report.disabled = process.env.ALCHEMY_API_KEY ? `NFT API not enabled for ${chain}` : 'Alchemy not configured';
+        return [];
+    }
+    
+    const ownedNfts = [];
+    let pageKey;
+    let pages = 0;
+    
+    try {
+        do {
+            const response = await axios.get(getNftApiUrl(chain, 'getNFTsForOwner'), {
+                params: {
+                    owner: address,
+                    withMetadata: true,
+                    pageSize: NFT_PAGE_SIZE,
+                    pageKey
+                },
+                timeout: 15000
+            });
+            
+            ownedNfts.push(...(response.data.ownedNfts || []));
+            pageKey = response.data.pageKey;
+            pages++;
+        } while (pageKey && pages < NFT_MAX_PAGES);
+    } catch (error) {
+        logger.warn('NFT page fetch failed', { chain, address, source: 'alchemy', page: pages + 1, error });
+        recordSourceError(report, 'nfts', error);
+    }
+    
+    if (pageKey) {
+        report.truncated = true;
+    }
+    
+    logger.debug('Fetched NFT pages', { chain, address, count: ownedNfts.length, pages });
+    
+    const collections = groupNftsIntoCollections(chain, ownedNfts);
+    await applyFloorPrices(chain, collections);
+    return collections;
+}
+
+app.get('/api/wallet/:addressOrEns/nfts', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const chains = parseListParam(req.query.chains, CHAINS.filter(c => c.nfts).map(c => c.id), 'chains');
+        const limit = req.query.limit === undefined ? NFT_COLLECTIONS_DEFAULT_LIMIT : parseInt(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) throw badRequest('Invalid limit');
+        
+        const { address, ensName } = await resolveAddressInput(req.params.addressOrEns);
+        
+        const cacheKey = `nfts_${address.toLowerCase()}_${chains.join(',')}`;
+        let portfolio = req.query.refresh === 'true' ? undefined : await cache.get(cacheKey);
+        
+        if (!portfolio) {
+            logger.info('Building NFT portfolio', { address, chains });
+            
+            const results = await Promise.all(chains.map(chain => runSource(async (report) => {
+                const collections = await fetchAllNfts(address, chain, report);
+                return { collections, truncated: !!report.truncated };
+            }, 60000, { collections: [], truncated: false })));
+            
+            const collections = results.flatMap(r => r.data.collections).sort(compareCollections);
+            const sources = Object.fromEntries(chains.map((chain, i) => [chain, results[i].status]));
+            
+            portfolio = {
+                collections,
+                totalNfts: collections.reduce((sum, c) => sum + c.nfts.length, 0),
+                truncated: results.some(r => r.data.truncated),
+                sources,
+                degraded: Object.values(sources).some(s => !['ok', 'disabled'].includes(s.status))
+            };
+            
+            if (!portfolio.degraded) {
+                await cache.set(cacheKey, portfolio, 300);
+            }
+        }
+        
+        // Cursor is the key of the last collection returned
+        let start = 0;
+        if (req.query.cursor) {
+            const cursor = decodeCursor(req.query.cursor, 'nfts');
+            const index = portfolio.collections.findIndex(c => `${c.chain}:${c.address}` === cursor.key);
+            if (index === -1) throw badRequest('Cursor no longer valid, restart from the first page');
+            start = index + 1;
+        }
+        
+        const page = portfolio.collections.slice(start, start + Math.min(limit, NFT_COLLECTIONS_MAX_LIMIT));
+        const last = page[page.length - 1];
+        const hasMore = start + page.length < portfolio.collections.length;
+        
+        res.json({
+            address,
+            ensName,
+            collections: page,
+            totalCollections: portfolio.collections.length,
+            totalNfts: portfolio.totalNfts,
+            nextCursor: hasMore && last ? encodeCursor({ key: `${last.chain}:${last.address}` }) : null,
+            truncated: portfolio.truncated,
+            sources: portfolio.sources,
+            degraded: portfolio.degraded,
+            responseTime: Date.now() - startTime
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('NFT portfolio request failed', { error });
+        res.status(500).json({
+            error: 'Failed to fetch NFTs',
+            message: error.message,
+            responseTime: Date.now() - startTime
+        });
+    }
+});
+
+// ============================================
+// EXPLORER API (ETHERSCAN V2)
+// ============================================
+
+// One Etherscan key covers every chain through the V2 API's chainid param.
+// Calls draw from a bucket of ETHERSCAN_RATE_LIMIT tokens, each returned one
+// second after it was spent, so no second ever sees more than the limit, and
+// at most ETHERSCAN_MAX_CONCURRENCY are in flight. Interactive requests are
+// always served before batch work (exports), and batch work never takes the
+// last free slot, so a long export can't hold up a page load.
+
+const EXPLORER_RATE_LIMIT = parseInt(process.env.ETHERSCAN_RATE_LIMIT) || 5;
+const EXPLORER_MAX_CONCURRENCY = parseInt(process.env.ETHERSCAN_MAX_CONCURRENCY) || EXPLORER_RATE_LIMIT;
+const explorerScheduler = {
+    spentAt: [],
+    active: 0,
+    queues: { interactive: [], batch: [] },
+    timer: null
+};
+
+function explorerQueueDepth() {
+    return {
+        interactive: explorerScheduler.queues.interactive.length,
+        batch: explorerScheduler.queues.batch.length,
+        inFlight: explorerScheduler.active
+    };
+}
+
+function drainExplorerQueue() {
+    const scheduler = explorerScheduler;
+    const { interactive, batch } = scheduler.queues;
+    const now = Date.now();
+    while (scheduler.spentAt.length > 0 && scheduler.spentAt[0] <= now - 1000) scheduler.spentAt.shift();
+    
+    while (scheduler.spentAt.length < EXPLORER_RATE_LIMIT && scheduler.active < EXPLORER_MAX_CONCURRENCY) {
+        const batchAllowed = scheduler.active < Math.max(1, EXPLORER_MAX_CONCURRENCY - 1);
+        const next = interactive.shift() || (batchAllowed ? batch.shift() : undefined);
+        if (!next) break;
+        scheduler.spentAt.push(now);
+        scheduler.active++;
+        next();
+    }
+    
+    // Out of tokens: wake up when the oldest one comes back. Waiting on
+    // concurrency instead is handled by releaseExplorerSlot.
+    if (!scheduler.timer && (interactive.length > 0 || batch.length > 0) &&
+        scheduler.spentAt.length >= EXPLORER_RATE_LIMIT) {
+        scheduler.timer = setTimeout(() => {
+            scheduler.timer = null;
+            drainExplorerQueue();
+        }, scheduler.spentAt[0] + 1000 - now);
+    }
+}
+
+function acquireExplorerSlot(priority) {
+    return new Promise(resolve => {
+        explorerScheduler.queues[priority].push(resolve);
+        drainExplorerQueue();
+    });
+}
+
+function releaseExplorerSlot() {
+    explorerScheduler.active--;
+    drainExplorerQueue();
+}
+
+function hasExplorer(chain) {
+    return !!process.env.ETHERSCAN_API_KEY && !!CHAIN_MAP[chain]?.explorerApi;
+}
+
+// priority is 'interactive' (default) or 'batch'
+async function explorerRequest(chain, params, timeout = 10000, priority = 'interactive') {
+    const config = CHAIN_MAP[chain];
+    
+    await acquireExplorerSlot(priority);
+    let response;
+    try {
+        response = await axios.get(config.explorerApi, {
+            params: {
+                chainid: config.chainId,
+                ...params,
+                apikey: process.env.ETHERSCAN_API_KEY
+            },
+            timeout
+        });
+    } finally {
+        releaseExplorerSlot();
+    }
+    
+    // Empty results come back as status "0" with an empty array; real errors
+    // (bad key, rate limit) as status "0" with a string result
+    if (response.data.status === '0' && !Array.isArray(response.data.result)) {
+        const error = new Error(response.data.result || response.data.message || 'Unexpected Etherscan response');
+        error.code = 'ETHERSCAN_ERROR';
+        throw error;
+    }
+    
+    return response.data.result;
+}
+
+// ============================================
+// RECENT ACTIVITY (WALLET VIEW)
+// ============================================
+
+async function fetchActivitySafe(address, report) {
+    if (!hasExplorer('ethereum')) {
+        if (report) report.disabled = 'Etherscan not configured';
+        return [];
+    }
+    
+    try {
+        const result = await explorerRequest('ethereum', {
+            module: 'account',
+            action: 'txlist',
+            address: address,
+            startblock: 0,
+            endblock: 99999999,
+            page: 1,
+            offset: 10,
+            sort: 'desc'
+        }, 5000);
+        
+        const activity = result.map(tx => ({
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            value: ethers.formatEther(tx.value || '0'),
+            timestamp: new Date(parseInt(tx.timeStamp) * 1000).toISOString(),
+            method: tx.functionName?.split('(')[0] || 'Transfer'
+        }));
+        
+        // Decoding is an enhancement - plain activity is still useful without it
+        try {
+            const decoded = await decodeTransactions('ethereum', address, result);
+            activity.forEach((item, i) => Object.assign(item, decoded[i]));
+        } catch (error) {
+            logger.warn('Activity decoding failed', { chain: 'ethereum', address, error });
+        }
+        
+        return activity;
+    } catch (error) {
+        logger.warn('Activity fetch failed', { chain: 'ethereum', address, source: 'etherscan', error });
+        recordSourceError(report, 'etherscan', error);
+    }
+    
+    return [];
+}
+
+// ============================================
+// TRANSACTION HISTORY
+// ============================================
+
+// Full history for /api/wallet/:address/activity: normal, internal, ERC-20,
+// ERC-721 and ERC-1155 transfers from every configured chain, merged newest
+// first into one normalized shape.
+//
+// Pagination uses an opaque cursor holding the last item's (timestamp, id)
+// and, per source (chain and type), where to resume: [block, items from that
+// block already returned], or null once the source has nothing left. Block
+// numbers aren't comparable across chains, and a sparse source (ERC-1155
+// transfers, say) is usually exhausted after the first page, so later pages
+// only query the sources that still have items.
+
+const ACTIVITY_TYPES = {
+    normal: 'txlist',
+    internal: 'txlistinternal',
+    erc20: 'tokentx',
+    erc721: 'tokennfttx',
+    erc1155: 'token1155tx'
+};
+const ACTIVITY_DEFAULT_LIMIT = 50;
+const ACTIVITY_MAX_LIMIT = 200;
+
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Shape checks per cursor kind; anything else is a 400 rather than a crash later on
+const CURSOR_VALIDATORS = {
+    activity: (cursor) => typeof cursor.ts === 'number' && Number.isFinite(cursor.ts) &&
+        typeof cursor.id === 'string' &&
+        (cursor.sources === undefined || (typeof cursor.sources === 'object' && cursor.sources !== null &&
+            !Array.isArray(cursor.sources) && Object.values(cursor.sources).every(v => v === null ||
+                (Array.isArray(v) && v.length === 2 && v.every(n => Number.isSafeInteger(n) && n >= 0))))),
+    nfts: (cursor) => typeof cursor.key === 'string'
+};
+
+function decodeCursor(value, kind = 'activity') {
+    try {
+        const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+        if (!cursor || typeof cursor !== 'object' || !CURSOR_VALIDATORS[kind](cursor)) throw new Error();
+        return cursor;
+    } catch (error) {
+        throw badRequest('Invalid cursor');
+    }
+}
+
+function parseTimestampParam(value, name) {
+    if (value === undefined) return null;
+    const ts = /^\d+$/.test(value) ? parseInt(value) : Math.floor(Date.parse(value) / 1000);
+    if (!Number.isFinite(ts)) throw badRequest(`Invalid ${name}`);
+    return ts;
+}
+
+// fromDate/toDate as unix seconds. A range starting in the future has no
+// blocks for the explorer to find, so it's rejected here rather than failing upstream.
+function parseDateRange(query) {
+    const fromTime = parseTimestampParam(query.fromDate, 'fromDate');
+    const toTime = parseTimestampParam(query.toDate, 'toDate');
+    if (fromTime !== null && fromTime > Date.now() / 1000) throw badRequest('fromDate is in the future');
+    if (fromTime !== null && toTime !== null && fromTime > toTime) throw badRequest('fromDate is after toDate');
+    return { fromTime, toTime };
+}
+
+function parseBlockParam(value, name) {
+    if (value === undefined) return null;
+    if (!/^\d+$/.test(value)) throw badRequest(`Invalid ${name}`);
+    return parseInt(value);
+}
+
+function parseListParam(value, allowed, name) {
+    if (!value) return allowed;
+    const list = String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+    const unknown = list.filter(v => !allowed.includes(v));
+    if (unknown.length > 0) throw badRequest(`Unknown ${name}: ${unknown.join(', ')}`);
+    return list;
+}
+
+function parseActivityQuery(query) {
+    const limit = query.limit === undefined ? ACTIVITY_DEFAULT_LIMIT : parseInt(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) throw badRequest('Invalid limit');
+    const fromBlock = parseBlockParam(query.fromBlock, 'fromBlock');
+    const toBlock = parseBlockParam(query.toBlock, 'toBlock');
+    if (fromBlock !== null && toBlock !== null && fromBlock > toBlock) throw badRequest('fromBlock is after toBlock');
+    
+    return {
+        chains: parseListParam(query.chains, CHAINS.filter(c => c.explorerApi).map(c => c.id), 'chains'),
+        types: parseListParam(query.types, Object.keys(ACTIVITY_TYPES), 'types'),
+        ...parseDateRange(query),
+        fromBlock,
+        toBlock,
+        limit: Math.min(limit, ACTIVITY_MAX_LIMIT),
+        cursor: query.cursor ? decodeCursor(query.cursor) : null,
+        decode: query.decode === 'true'
+    };
+}
+
+async function getBlockByTime(chain, timestamp, closest, priority) {
+    const cacheKey = `blockbytime_${chain}_${timestamp}_${closest}`;
+    const cached = await cache.get(cacheKey);
+    if (cached !== undefined) return cached;
+    
+    const result = await explorerRequest(chain, {
+        module: 'block',
+        action: 'getblocknobytime',
+        timestamp,
+        closest
+    }, undefined, priority);
+    const block = parseInt(result);
+    await cache.set(cacheKey, block, 3600);
+    return block;
+}
+
+function normalizeActivityItem(raw, chain, type, address) {
+    const config = CHAIN_MAP[chain];
+    const from = (raw.from || '').toLowerCase();
+    const to = (raw.to || '').toLowerCase();
+    const self = address.toLowerCase();
+    
+    let value;
+    let asset;
+    if (type === 'normal' || type === 'internal') {
+        value = ethers.formatEther(raw.value || '0');
+        asset = { type: 'native', symbol: config.native.symbol, name: config.native.name };
+    } else if (type === 'erc20') {
+        const decimals = raw.tokenDecimal === '' || raw.tokenDecimal === undefined ? 18 : parseInt(raw.tokenDecimal);
+        value = ethers.formatUnits(raw.value || '0', decimals);
+        asset = { type: 'erc20', symbol: raw.tokenSymbol, name: raw.tokenName, contractAddress: raw.contractAddress, decimals };
+    } else {
+        value = type === 'erc1155' ? (raw.tokenValue || '1') : '1';
+        asset = { type, symbol: raw.tokenSymbol, name: raw.tokenName, contractAddress: raw.contractAddress, tokenId: raw.tokenID };
+    }
+    
+    // Stable per-item id so cursors survive re-fetching the same block
+    const discriminator = raw.logIndex || raw.traceId ||
+        (type === 'normal' ? '0' : `${raw.contractAddress || ''}:${from}:${to}:${raw.tokenID || raw.value || ''}`);
+    
+    const item = {
+        id: `${chain}:${raw.hash}:${type}:${discriminator}`,
+        chain,
+        type,
+        hash: raw.hash,
+        blockNumber: parseInt(raw.blockNumber),
+        timestamp: new Date(parseInt(raw.timeStamp) * 1000).toISOString(),
+        direction: from === self && to === self ? 'self' : (from === self ? 'out' : 'in'),
+        from: raw.from,
+        to: raw.to || raw.contractAddress || null,
+        value,
+        asset,
+        status: raw.isError === '1' ? 'failed' : 'success'
+    };
+    
+    if (type === 'normal') {
+        item.method = raw.functionName?.split('(')[0] || (raw.input === '0x' ? 'Transfer' : null);
+        item.fee = ethers.formatEther(BigInt(raw.gasUsed || 0) * BigInt(raw.gasPrice || 0));
+    }
+    
+    return item;
+}
+
+// Newest first; ties broken by id so the order (and the cursor) is deterministic
+function compareActivity(a, b) {
+    const ta = Date.parse(a.timestamp);
+    const tb = Date.parse(b.timestamp);
+    if (ta !== tb) return tb - ta;
+    return a.id < b.id ? 1 : (a.id > b.id ? -1 : 0);
+}
+
+function isAfterCursor(item, cursor) {
+    const ts = Date.parse(item.timestamp) / 1000;
+    return ts < cursor.ts || (ts === cursor.ts && item.id < cursor.id);
+}
+
+async function fetchActivityPage(address, options) {
+    const { chains, types, limit, cursor } = options;
+    
+    // Block range per chain: explicit blocks, dates converted via the explorer, then the cursor
+    const blockRanges = {};
+    await Promise.all(chains.map(async (chain) => {
+        let startBlock = options.fromBlock ?? 0;
+        let endBlock = options.toBlock ?? 99999999;
+        
+        if (options.fromTime !== null) {
+            startBlock = Math.max(startBlock, await getBlockByTime(chain, options.fromTime, 'after', options.priority));
+        }
+        // A toDate that hasn't happened yet has no block; the open end covers it
+        if (options.toTime !== null && options.toTime < Date.now() / 1000) {
+            endBlock = Math.min(endBlock, await getBlockByTime(chain, options.toTime, 'before', options.priority));
+        }
+        
+        blockRanges[chain] = { startBlock, endBlock };
+    }));
+    
+    // Sources the cursor marks as exhausted aren't queried again
+    const jobs = chains.flatMap(chain => types.map(type => {
+        const key = `${chain}:${type}`;
+        const resume = cursor?.sources?.[key];
+        if (resume === null) return null;
+        const { startBlock, endBlock } = blockRanges[chain];
+        // Items the previous pages took from the resume block come back first and are skipped
+        const skip = resume && resume[0] <= endBlock ? resume[1] : 0;
+        return { chain, type, key, startBlock, endBlock: resume ? Math.min(endBlock, resume[0]) : endBlock, skip };
+    })).filter(Boolean);
+    const rawById = new Map();
+    const results = await Promise.all(jobs.map(({ chain, type, startBlock, endBlock, skip }) => runSource(async (report) => {
+        if (startBlock > endBlock) return [];
+        
+        try {
+            const raw = await explorerRequest(chain, {
+                module: 'account',
+                action: ACTIVITY_TYPES[type],
+                address,
+                startblock: startBlock,
+                endblock: endBlock,
+                page: 1,
+                offset: limit + skip,
+                sort: 'desc'
+            }, undefined, options.priority);
+            return raw.map(item => {
+                const normalized = normalizeActivityItem(item, chain, type, address);
+                if (type === 'normal') rawById.set(normalized.id, item);
+                return normalized;
+            });
+        } catch (error) {
+            logger.warn('History fetch failed', { chain, address, type, source: 'etherscan', error });
+            recordSourceError(report, 'etherscan', error);
+            return [];
+        }
+    }, 15000, [])));
+    
+    const isEligible = (item) => (!cursor || isAfterCursor(item, cursor)) &&
+        (options.fromTime === null || Date.parse(item.timestamp) / 1000 >= options.fromTime) &&
+        (options.toTime === null || Date.parse(item.timestamp) / 1000 <= options.toTime);
+    const items = results.flatMap(r => r.data).filter(isEligible);
+    items.sort(compareActivity);
+    
+    const page = items.slice(0, limit);
+    const pageIds = new Set(page.map(item => item.id));
+    
+    // A source is done once it returned everything in its range and all of it
+    // made this page; otherwise it resumes after the last item it contributed
+    const sourceCursors = { ...(cursor?.sources || {}) };
+    jobs.forEach(({ key, endBlock, skip }, i) => {
+        const eligible = results[i].data.filter(isEligible);
+        const taken = eligible.filter(item => pageIds.has(item.id));
+        const complete = results[i].status.status === 'ok' && results[i].data.length < limit + skip;
+        if (complete && taken.length === eligible.length) {
+            sourceCursors[key] = null;
+        } else if (taken.length > 0) {
+            const lastBlock = taken[taken.length - 1].blockNumber;
+            const takenInBlock = taken.filter(item => item.blockNumber === lastBlock).length;
+            sourceCursors[key] = [lastBlock, takenInBlock + (lastBlock === endBlock ? skip : 0)];
+        } else {
+            sourceCursors[key] = [endBlock, skip];
+        }
+    });
+    const hasMore = Object.values(sourceCursors).some(block => block !== null);
+    
+    let nextCursor = null;
+    if (hasMore && page.length > 0) {
+        const last = page[page.length - 1];
+        nextCursor = encodeCursor({ ts: Date.parse(last.timestamp) / 1000, id: last.id, sources: sourceCursors });
+    }
+    
+    const sources = {};
+    jobs.forEach(({ key }, i) => {
+        sources[key] = results[i].status;
+    });
+    
+    // Optional decoding of this page's normal transactions, per chain
+    if (options.decode) {
+        await Promise.all(chains.map(async (chain) => {
+            const items = page.filter(item => item.chain === chain && rawById.has(item.id));
+            try {
+                const decoded = await decodeTransactions(chain, address, items.map(item => rawById.get(item.id)));
+                items.forEach((item, i) => Object.assign(item, decoded[i]));
+            } catch (error) {
+                logger.warn('History decoding failed', { chain, address, error });
+            }
+        }));
+    }
+    
+    return { items: page, nextCursor, sources, calls: jobs.length };
+}
+
+app.get('/api/wallet/:addressOrEns/activity', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        if (!process.env.ETHERSCAN_API_KEY) {
+            return res.status(503).json({ error: 'Activity history requires ETHERSCAN_API_KEY' });
+        }
+        
+        const options = parseActivityQuery(req.query);
+        const { address, ensName } = await resolveAddressInput(req.params.addressOrEns);
+        
+        logger.info('Fetching activity', { address, chains: options.chains, types: options.types });
+        
+        const { items, nextCursor, sources } = await fetchActivityPage(address, options);
+        
+        res.json({
+            address,
+            ensName,
+            items,
+            count: items.length,
+            nextCursor,
+            sources,
+            degraded: Object.values(sources).some(s => s.status !== 'ok'),
+            responseTime: Date.now() - startTime
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Activity request failed', { error });
+        res.status(500).json({
+            error: 'Failed to fetch activity',
+            message: error.message,
+            responseTime: Date.now() - startTime
+        });
+    }
+});
+
+// ============================================
+// TRANSACTION DECODING
+// ============================================
+
+// Turns raw transactions into readable labels ("Swapped 1.2 ETH for 3,400 USDC
+// on Uniswap", "Bridged 0.5 ETH to Base") from decoded calldata, the receipt's
+// ERC-20/721/1155 transfer and WETH events and the contract registry in
+// config/known-contracts.json (override with KNOWN_CONTRACTS_CONFIG). Gas cost
+// in USD uses the native price at the transaction's block time.
+
+const UNLIMITED_ALLOWANCE = 2n ** 255n;
+
+function loadKnownContracts() {
+    const configPath = path.resolve(process.env.KNOWN_CONTRACTS_CONFIG || path.join(__dirname, 'config', 'known-contracts.json'));
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    
+    return Object.fromEntries(Object.entries(config).map(([chain, contracts]) => [
+        chain,
+        Object.fromEntries(Object.entries(contracts).map(([address, info]) => [address.toLowerCase(), info]))
+    ]));
+}
+
+const KNOWN_CONTRACTS = loadKnownContracts();
+
+function getKnownContract(chain, address) {
+    return address ? KNOWN_CONTRACTS[chain]?.[address.toLowerCase()] || null : null;
+}
+
+const decodeInterface = new ethers.Interface([
+    // ERC-20
+    'function transfer(address to, uint256 amount)',
+    'function approve(address spender, uint256 amount)',
+    'function transferFrom(address from, address to, uint256 amount)',
+    // WETH
+    'function deposit()',
+    'function withdraw(uint256 wad)',
+    // Uniswap V2 router
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    // Uniswap V3 routers and Universal Router
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function multicall(bytes[] data)',
+    'function execute(bytes commands, bytes[] inputs, uint256 deadline)',
+    'function execute(bytes commands, bytes[] inputs)',
+    // OP Stack, Arbitrum and Polygon bridges
+    'function depositETH(uint32 minGasLimit, bytes extraData)',
+    'function depositETHTo(address to, uint32 minGasLimit, bytes extraData)',
+    'function bridgeETHTo(address to, uint32 minGasLimit, bytes extraData)',
+    'function depositERC20(address l1Token, address l2Token, uint256 amount, uint32 minGasLimit, bytes extraData)',
+    'function depositERC20To(address l1Token, address l2Token, address to, uint256 amount, uint32 minGasLimit, bytes extraData)',
+    'function depositTransaction(address to, uint256 value, uint64 gasLimit, bool isCreation, bytes data)',
+    'function depositEth()',
+    'function depositEtherFor(address user)'
+]);
+
+const WETH_WITHDRAWAL_TOPIC = ethers.id('Withdrawal(address,uint256)');
+
+const erc1155EventInterface = new ethers.Interface([
+    'event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)',
+    'event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)'
+]);
+const TRANSFER_SINGLE_TOPIC = erc1155EventInterface.getEvent('TransferSingle').topicHash;
+const TRANSFER_BATCH_TOPIC = erc1155EventInterface.getEvent('TransferBatch').topicHash;
+
+// ERC-1155 TransferSingle/TransferBatch log -> { from, to, items: [{ tokenId, amount }] }
+function decodeErc1155Transfer(log) {
+    try {
+        const { name, args } = erc1155EventInterface.parseLog(log);
+        // Positional: `args.values` is Result's own values() method, not the field
+        const ids = name === 'TransferSingle' ? [args[3]] : [...args[3]];
+        const values = name === 'TransferSingle' ? [args[4]] : [...args[4]];
+        return {
+            from: args.from,
+            to: args.to,
+            items: ids.map((id, i) => ({ tokenId: id.toString(), amount: values[i].toString() }))
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+function topicToAddress(topic) {
+    return ethers.getAddress(ethers.dataSlice(topic, 12));
+}
+
+function shortAddress(address) {
+    return address ? `${address.slice(0, 6)}…${address.slice(-4)}` : 'unknown';
+}
+
+function formatAmount(value) {
+    const amount = parseFloat(value);
+    if (amount === 0) return '0';
+    if (Math.abs(amount) >= 1) {
+        return amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+    return amount.toLocaleString('en-US', { maximumSignificantDigits: 4 });
+}
+
+function describeMovement(movement) {
+    if (!movement) return '';
+    return `${formatAmount(movement.amount)} ${movement.symbol}`;
+}
+
+function serializeDecodedValue(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (value && typeof value.toObject === 'function') {
+        try {
+            const obj = value.toObject();
+            if (Object.keys(obj).length > 0 && !Object.keys(obj).every(k => /^\d+$/.test(k))) {
+                return Object.fromEntries(Object.entries(obj).map(([k, v]) => [k, serializeDecodedValue(v)]));
+            }
+        } catch (err) {
+            // Unnamed tuple members - fall through to the array form
+        }
+    }
+    if (Array.isArray(value)) return [...value].map(serializeDecodedValue);
+    return value;
+}
+
+function decodeCalldata(tx) {
+    if (!tx.input || tx.input === '0x') return null;
+    try {
+        const parsed = decodeInterface.parseTransaction({ data: tx.input, value: tx.value || '0' });
+        if (!parsed) return null;
+        return {
+            name: parsed.name,
+            signature: parsed.signature,
+            args: Object.fromEntries(parsed.fragment.inputs.map((input, i) => [
+                input.name || `arg${i}`,
+                serializeDecodedValue(parsed.args[i])
+            ])),
+            raw: parsed
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+function buildLabel({ tx, chain, user, decoded, known, sent, received, nftsIn, nftsOut, tokenMeta }) {
+    const config = CHAIN_MAP[chain];
+    const native = config.native.symbol;
+    const nativeValue = ethers.formatEther(tx.value || '0');
+    const outgoing = tx.from.toLowerCase() === user;
+    const method = decoded?.name || tx.functionName?.split('(')[0] || null;
+    
+    if (tx.isError === '1') {
+        return `Failed ${method || 'transaction'}${known ? ` on ${known.protocol}` : ''}`;
+    }
+    
+    if (known?.kind === 'weth') {
+        if (method === 'deposit' || (!decoded && parseFloat(nativeValue) > 0)) return `Wrapped ${formatAmount(nativeValue)} ${native}`;
+        if (method === 'withdraw') {
+            // method can come from the explorer's functionName when the calldata
+            // did not decode, so the amount is not always known
+            const wad = decoded?.raw?.args?.wad ?? (parseFloat(nativeValue) > 0 ? tx.value : null);
+            return wad === null ? `Unwrapped W${native}` : `Unwrapped ${formatAmount(ethers.formatEther(wad))} W${native}`;
+        }
+    }
+    
+    if (known?.kind === 'bridge') {
+        const bridged = sent[0] ? describeMovement(sent[0]) : `${formatAmount(nativeValue)} ${native}`;
+        return `Bridged ${bridged} to ${known.destination}`;
+    }
+    
+    if (known?.kind === 'nft-marketplace' || nftsIn.length > 0 || nftsOut.length > 0) {
+        const venue = known ? ` on ${known.protocol}` : '';
+        if (nftsIn.length > 0) {
+            const price = sent[0] ? ` for ${describeMovement(sent[0])}` : '';
+            return `Bought ${nftsIn.length === 1 ? `NFT #${nftsIn[0].tokenId}` : `${nftsIn.length} NFTs`}${venue}${price}`;
+        }
+        if (nftsOut.length > 0) {
+            const price = received[0] ? ` for ${describeMovement(received[0])}` : '';
+            const action = known ? 'Sold' : 'Sent';
+            return `${action} ${nftsOut.length === 1 ? `NFT #${nftsOut[0].tokenId}` : `${nftsOut.length} NFTs`}${venue}${price}`;
+        }
+    }
+    
+    if (sent.length > 0 && received.length > 0) {
+        return `Swapped ${describeMovement(sent[0])} for ${describeMovement(received[0])}${known ? ` on ${known.protocol}` : ''}`;
+    }
+    
+    if (method === 'approve' && decoded) {
+        const meta = tokenMeta[tx.to.toLowerCase()];
+        const spender = decoded.raw.args.spender;
+        const amount = decoded.raw.args.amount;
+        const spenderLabel = getKnownContract(chain, spender)?.name || shortAddress(spender);
+        const amountLabel = amount >= UNLIMITED_ALLOWANCE ? 'unlimited' :
+            (amount === 0n ? 'revoked' : formatAmount(ethers.formatUnits(amount, meta?.decimals ?? 18)));
+        return amount === 0n ?
+            `Revoked ${meta?.symbol || 'token'} approval for ${spenderLabel}` :
+            `Approved ${amountLabel} ${meta?.symbol || 'token'} for ${spenderLabel}`;
+    }
+    
+    if (sent.length > 0 && outgoing) {
+        const recipient = method === 'transfer' && decoded ? decoded.raw.args.to : tx.to;
+        return `Sent ${describeMovement(sent[0])} to ${getKnownContract(chain, recipient)?.name || shortAddress(recipient)}`;
+    }
+    
+    if (received.length > 0) {
+        const sender = (!tx.input || tx.input === '0x') ? tx.from : (received[0].from || tx.from);
+        return `Received ${describeMovement(received[0])} from ${getKnownContract(chain, sender)?.name || shortAddress(sender)}`;
+    }
+    
+    if (method) {
+        return `Called ${method} on ${known?.name || shortAddress(tx.to)}`;
+    }
+    
+    return outgoing ? `Sent transaction to ${shortAddress(tx.to)}` : `Received transaction from ${shortAddress(tx.from)}`;
+}
+
+// Decodes Etherscan-shaped normal transactions ({ hash, from, to, value, input,
+// gasUsed, gasPrice, timeStamp, isError, functionName }) for `address`. Returns
+// one { label, protocol, decoded, transfers, gasCost } per transaction.
+async function decodeTransactions(chain, address, txs) {
+    if (txs.length === 0) return [];
+    const user = address.toLowerCase();
+    
+    // Receipts in JSON-RPC batches
+    const receipts = [];
+    const batchSize = 50;
+    for (let i = 0; i < txs.length; i += batchSize) {
+        const batch = txs.slice(i, i + batchSize);
+        try {
+            receipts.push(...await rpcBatchRequest(chain, batch.map(tx => ({
+                method: 'eth_getTransactionReceipt',
+                params: [tx.hash]
+            }))));
+        } catch (error) {
+            logger.warn('Receipt lookup failed', { chain, source: 'rpc', error });
+            receipts.push(...batch.map(() => null));
+        }
+    }
+    
+    // Token metadata for every ERC-20 that moved, plus approve/transfer targets
+    const tokenContracts = new Set();
+    receipts.forEach(receipt => (receipt?.logs || []).forEach(log => {
+        if (log.topics[0] === TRANSFER_TOPIC && log.topics.length === 3) tokenContracts.add(log.address.toLowerCase());
+    }));
+    txs.forEach(tx => {
+        if (tx.to && tx.input && /^0x(a9059cbb|095ea7b3)/.test(tx.input)) tokenContracts.add(tx.to.toLowerCase());
+    });
+    
+    let tokenMeta = {};
+    try {
+        const metadata = await getTokenMetadata(chain, [...tokenContracts]);
+        tokenMeta = Object.fromEntries(Object.entries(metadata).map(([a, m]) => [a.toLowerCase(), m]));
+    } catch (error) {
+        logger.warn('Token metadata for decoding failed', { chain, error });
+    }
+    
+    // Native price at each transaction's block time (hour buckets)
+    let historicalPrices = {};
+    try {
+        historicalPrices = await resolveHistoricalPrices(txs
+            .filter(tx => tx.timeStamp)
+            .map(tx => ({ chain, contractAddress: null, timestamp: parseInt(tx.timeStamp) })));
+    } catch (error) {
+        // Gas cost in USD is best-effort
+    }
+    
+    const native = CHAIN_MAP[chain].native.symbol;
+    
+    return txs.map((tx, i) => {
+        const receipt = receipts[i];
+        const known = getKnownContract(chain, tx.to);
+        const decoded = decodeCalldata(tx);
+        const sent = [];
+        const received = [];
+        const nftsIn = [];
+        const nftsOut = [];
+        
+        if (BigInt(tx.value || 0) > 0n) {
+            const movement = { amount: ethers.formatEther(tx.value), symbol: native, contractAddress: null, from: tx.from };
+            if (tx.from.toLowerCase() === user) sent.push(movement);
+            else if (tx.to?.toLowerCase() === user) received.push(movement);
+        }
+        
+        (receipt?.logs || []).forEach(log => {
+            if (log.topics[0] === TRANSFER_TOPIC && log.topics.length >= 3) {
+                const from = topicToAddress(log.topics[1]);
+                const to = topicToAddress(log.topics[2]);
+                const isOut = from.toLowerCase() === user;
+                const isIn = to.toLowerCase() === user;
+                if (!isOut && !isIn) return;
+                
+                if (log.topics.length === 4) {
+                    const nft = { contractAddress: log.address, tokenId: BigInt(log.topics[3]).toString() };
+                    (isIn ? nftsIn : nftsOut).push(nft);
+                    return;
+                }
+                
+                const meta = tokenMeta[log.address.toLowerCase()] || {};
+                const movement = {
+                    amount: ethers.formatUnits(BigInt(log.data === '0x' ? 0 : log.data), meta.decimals ?? 18),
+                    symbol: meta.symbol || shortAddress(log.address),
+                    contractAddress: log.address,
+                    from
+                };
+                (isIn ? received : sent).push(movement);
+            } else if (log.topics[0] === TRANSFER_SINGLE_TOPIC || log.topics[0] === TRANSFER_BATCH_TOPIC) {
+                const transfer = decodeErc1155Transfer(log);
+                if (!transfer) return;
+                const isIn = transfer.to.toLowerCase() === user;
+                if (!isIn && transfer.from.toLowerCase() !== user) return;
+                transfer.items.forEach(item => (isIn ? nftsIn : nftsOut).push({ contractAddress: log.address, ...item }));
+            } else if (log.topics[0] === WETH_WITHDRAWAL_TOPIC && known?.kind === 'dex') {
+                // Router unwrapped WETH and forwarded the ETH to the user
+                received.push({ amount: ethers.formatEther(BigInt(log.data)), symbol: native, contractAddress: null });
+            }
+        });
+        
+        const gasUsed = BigInt(receipt?.gasUsed || tx.gasUsed || 0);
+        const gasPrice = BigInt(receipt?.effectiveGasPrice || tx.gasPrice || 0);
+        const gasEth = ethers.formatEther(gasUsed * gasPrice);
+        const nativePrice = tx.timeStamp ? historicalPrices[historicalPriceKey(chain, null, parseInt(tx.timeStamp))] : null;
+        
+        return {
+            label: buildLabel({ tx, chain, user, decoded, known, sent, received, nftsIn, nftsOut, tokenMeta }),
+            protocol: known?.protocol || null,
+            decoded: decoded ? { name: decoded.name, signature: decoded.signature, args: decoded.args } : null,
+            transfers: {
+                sent: sent.map(({ from, ...m }) => m),
+                received: received.map(({ from, ...m }) => m),
+                nftsIn,
+                nftsOut
+            },
+            gasCost: {
+                amount: gasEth,
+                symbol: native,
+                usd: nativePrice ? parseFloat(gasEth) * nativePrice : null,
+                paidByWallet: tx.from.toLowerCase() === user
+            }
+        };
+    });
+}
+
+// ============================================
+// TOKEN APPROVALS AUDIT
+// ============================================
+
+// /api/wallet/:address/approvals finds every ERC-20 Approval and ERC-721/1155
+// ApprovalForAll the wallet has granted (Etherscan log search over the full
+// history, or the last TOKEN_LOG_LOOKBACK_BLOCKS over RPC, reported as partial
+// with the blocks covered), then re-reads the current allowance on-chain so
+// revoked and spent grants drop out. Each live approval is flagged (unlimited,
+// stale, risky or unknown spender) and valued at what the spender could move
+// today. Spenders with known incidents are listed in config/spender-risks.json
+// (override with SPENDER_RISKS_CONFIG).
+
+const APPROVAL_TOPIC = ethers.id('Approval(address,address,uint256)');
+const APPROVAL_FOR_ALL_TOPIC = ethers.id('ApprovalForAll(address,address,bool)');
+const APPROVAL_STALE_DAYS = parseInt(process.env.APPROVAL_STALE_DAYS) || 180;
+const APPROVALS_MAX_PAGES = parseInt(process.env.APPROVALS_MAX_PAGES) || 10;
+const APPROVALS_PAGE_SIZE = 1000;
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+const RISK_ORDER = { high: 0, medium: 1, low: 2 };
+
+function loadSpenderRisks() {
+    const configPath = path.resolve(process.env.SPENDER_RISKS_CONFIG || path.join(__dirname, 'config', 'spender-risks.json'));
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    return Object.fromEntries(Object.entries(config.spenders || {}).map(([key, info]) => [key.toLowerCase(), info]));
+}
+
+const SPENDER_RISKS = loadSpenderRisks();
+
+const approvalInterface = new ethers.Interface([
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function isApprovedForAll(address owner, address operator) view returns (bool)',
+    'function getApproved(uint256 tokenId) view returns (address)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function supportsInterface(bytes4 interfaceId) view returns (bool)'
+]);
+
+// Approval logs as { contractAddress, spender, tokenId, kind, blockNumber, logIndex, timestamp, txHash }
+function parseApprovalLog(log) {
+    const isForAll = log.topics[0].toLowerCase() === APPROVAL_FOR_ALL_TOPIC;
+    return {
+        contractAddress: ethers.getAddress(log.address),
+        spender: ethers.getAddress(ethers.dataSlice(log.topics[2], 12)),
+        // ERC-721 Approval shares the ERC-20 signature but indexes tokenId (4 topics)
+        kind: isForAll ? 'operator' : (log.topics.length === 4 ? 'token' : 'allowance'),
+        tokenId: !isForAll && log.topics.length === 4 ? BigInt(log.topics[3]).toString() : null,
+        blockNumber: parseInt(log.blockNumber, 16),
+        logIndex: parseInt(log.logIndex || '0x0', 16),
+        timestamp: log.timeStamp ? parseInt(log.timeStamp, 16) * 1000 : null,
+        txHash: log.transactionHash
+    };
+}
+
+// Full history through Etherscan's log search, one query per topic
+async function fetchApprovalLogsFromExplorer(address, chain, report) {
+    const logs = [];
+    for (const topic of [APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC]) {
+        for (let page = 1; page <= APPROVALS_MAX_PAGES; page++) {
+            const result = await explorerRequest(chain, {
+                module: 'logs',
+                action: 'getLogs',
+                fromBlock: 0,
+                toBlock: 'latest',
+                topic0: topic,
+                topic1: ethers.zeroPadValue(address, 32),
+                topic0_1_opr: 'and',
+                page,
+                offset: APPROVALS_PAGE_SIZE
+            }, 15000);
+            
+            logs.push(...result);
+            if (result.length < APPROVALS_PAGE_SIZE) break;
+            if (page === APPROVALS_MAX_PAGES) report.truncated = true;
+        }
+    }
+    return logs;
+}
+
+// Without Etherscan only the recent window the token discovery fallback uses is
+// searched. A chunk that fails is skipped and listed in failedRanges instead of
+// ending the scan, so the grants found in the other chunks are still audited.
+async function fetchApprovalLogsFromRpc(address, chain) {
+    const config = CHAIN_MAP[chain];
+    const lookback = config.logLookbackBlocks || TOKEN_LOG_LOOKBACK_BLOCKS;
+    const chunkSize = config.logChunkSize || TOKEN_LOG_CHUNK_SIZE;
+    
+    const latestBlock = parseInt(await rpcRequest(chain, 'eth_blockNumber', []), 16);
+    const startBlock = Math.max(0, latestBlock - lookback);
+    
+    const logs = [];
+    const failedRanges = [];
+    let firstError = null;
+    let chunks = 0;
+    for (let from = startBlock; from <= latestBlock; from += chunkSize) {
+        const to = Math.min(from + chunkSize - 1, latestBlock);
+        chunks++;
+        try {
+            logs.push(...await rpcRequest(chain, 'eth_getLogs', [{
+                fromBlock: ethers.toQuantity(from),
+                toBlock: ethers.toQuantity(to),
+                topics: [[APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC], ethers.zeroPadValue(address, 32)]
+            }]));
+        } catch (error) {
+            logger.warn('Approval getLogs range failed', { chain, address, source: 'rpc', fromBlock: from, toBlock: to, error });
+            failedRanges.push({ fromBlock: from, toBlock: to });
+            firstError = firstError || error;
+        }
+    }
+    if (failedRanges.length === chunks) throw firstError;
+    
+    return { logs, scanned: { fromBlock: startBlock, toBlock: latestBlock }, failedRanges, firstError };
+}
+
+// RPC logs carry no timeStamp, so ageDays and the stale flag need the block
+// times. Only the blocks of grants that are still live get read.
+async function fillApprovalTimestamps(chain, events) {
+    const blockNumbers = [...new Set(events.filter(e => e.timestamp === null).map(e => e.blockNumber))];
+    const times = new Map();
+    const batchSize = 50;
+    for (let i = 0; i < blockNumbers.length; i += batchSize) {
+        const batch = blockNumbers.slice(i, i + batchSize);
+        try {
+            const blocks = await rpcBatchRequest(chain, batch.map(n => ({
+                method: 'eth_getBlockByNumber',
+                params: [ethers.toQuantity(n), false]
+            })));
+            batch.forEach((n, j) => {
+                if (blocks[j]?.timestamp) times.set(n, parseInt(blocks[j].timestamp, 16) * 1000);
+            });
+        } catch (error) {
+            logger.warn('Approval block timestamps failed', { chain, source: 'rpc', error });
+        }
+    }
+    
+    events.forEach(event => {
+        if (event.timestamp === null) event.timestamp = times.get(event.blockNumber) ?? null;
+    });
+}
+
+// Latest event per (contract, spender) or (contract, tokenId) - later events
+// supersede earlier ones, and the on-chain read decides whether it's still live
+function latestApprovals(logs) {
+    const latest = {};
+    logs.map(parseApprovalLog).forEach(event => {
+        const key = event.kind === 'token' ?
+            `${event.contractAddress}:${event.tokenId}` :
+            `${event.contractAddress}:${event.spender}:${event.kind}`;
+        const current = latest[key];
+        if (!current || event.blockNumber > current.blockNumber ||
+            (event.blockNumber === current.blockNumber && event.logIndex > current.logIndex)) {
+            latest[key] = event;
+        }
+    });
+    return Object.values(latest);
+}
+
+async function readApprovalState(address, chain, events) {
+    const calls = events.flatMap(event => {
+        if (event.kind === 'allowance') {
+            return [
+                { target: event.contractAddress, fn: 'allowance', args: [address, event.spender] },
+                { target: event.contractAddress, fn: 'balanceOf', args: [address] }
+            ];
+        }
+        if (event.kind === 'token') {
+            return [
+                { target: event.contractAddress, fn: 'getApproved', args: [event.tokenId] },
+                { target: event.contractAddress, fn: 'ownerOf', args: [event.tokenId] }
+            ];
+        }
+        return [
+            { target: event.contractAddress, fn: 'isApprovedForAll', args: [address, event.spender] },
+            { target: event.contractAddress, fn: 'supportsInterface', args: [ERC1155_INTERFACE_ID] }
+        ];
+    });
+    
+    const results = await multicall(chain, calls.map(call => ({
+        target: call.target,
+        callData: approvalInterface.encodeFunctionData(call.fn, call.args)
+    })));
+    
+    const decode = (i) => {
+        const result = results[i];
+        if (!result.success || result.returnData === '0x') return null;
+        try {
+            return approvalInterface.decodeFunctionResult(calls[i].fn, result.returnData)[0];
+        } catch (error) {
+            return null;
+        }
+    };
+    
+    return events.map((event, i) => ({ ...event, state: decode(i * 2), detail: decode(i * 2 + 1) }));
+}
+
+// Spenders without code can move tokens with nothing but a signature - the
+// usual shape of a phishing approval
+async function getSpenderCodeStatus(chain, spenders) {
+    try {
+        const codes = await rpcBatchRequest(chain, spenders.map(spender => ({ method: 'eth_getCode', params: [spender, 'latest'] })));
+        return Object.fromEntries(spenders.map((spender, i) => [spender, codes[i] === null ? null : codes[i] !== '0x']));
+    } catch (error) {
+        return {};
+    }
+}
+
+function classifySpender(chain, spender, isContract) {
+    const known = getKnownContract(chain, spender);
+    const listed = SPENDER_RISKS[`${chain}:${spender.toLowerCase()}`];
+    
+    let risk = null;
+    let reason = null;
+    if (listed) {
+        ({ risk, reason } = listed);
+    } else if (isContract === false) {
+        risk = 'high';
+        reason = 'Spender is not a contract';
+    }
+    
+    return {
+        address: spender,
+        name: listed?.name || known?.name || null,
+        protocol: known?.protocol || null,
+        isContract,
+        known: !!known,
+        risk,
+        reason
+    };
+}
+
+function rateApproval(approval) {
+    const flags = [];
+    if (approval.isUnlimited) flags.push('unlimited');
+    if (approval.ageDays !== null && approval.ageDays > APPROVAL_STALE_DAYS) flags.push('stale');
+    if (approval.spender.risk) flags.push('risky-spender');
+    if (!approval.spender.known) flags.push('unknown-spender');
+    
+    let risk = 'low';
+    if (approval.spender.risk === 'high' || (approval.spender.risk && approval.isUnlimited)) {
+        risk = 'high';
+    } else if (approval.spender.risk || (approval.isUnlimited && (flags.includes('stale') || !approval.spender.known))) {
+        risk = 'medium';
+    }
+    
+    return { flags, risk };
+}
+
+async function fetchApprovalsSafe(address, chain, report) {
+    const empty = { approvals: [], revoked: 0, historyComplete: false };
+    if (!hasExplorer(chain) && !rpcEndpoints[chain]?.length) {
+        report.disabled = `No explorer or RPC for ${chain}`;
+        return empty;
+    }
+    
+    try {
+        return await fetchApprovals(address, chain, report);
+    } catch (error) {
+        logger.warn('Approvals audit failed', { chain, address, source: hasExplorer(chain) ? 'etherscan' : 'rpc', error });
+        recordSourceError(report, hasExplorer(chain) ? 'etherscan' : 'rpc', error);
+        return empty;
+    }
+}
+
+async function fetchApprovals(address, chain, report) {
+    const fromExplorer = hasExplorer(chain);
+    let logs;
+    if (fromExplorer) {
+        logs = await fetchApprovalLogsFromExplorer(address, chain, report);
+    } else {
+        const { logs: found, scanned, failedRanges, firstError } = await fetchApprovalLogsFromRpc(address, chain);
+        logs = found;
+        // Grants older than the window, or inside a failed chunk, are not seen;
+        // the status says which blocks were actually covered
+        if (failedRanges.length > 0) {
+            recordSourceError(report, 'rpc', firstError);
+            report.partial = { reason: 'RANGES_FAILED', scannedBlocks: scanned, failedRanges };
+        } else if (scanned.fromBlock > 0) {
+            report.partial = { reason: 'LOOKBACK_LIMITED', scannedBlocks: scanned };
+        }
+    }
+    const historyComplete = fromExplorer && !report.truncated;
+    
+    const events = latestApprovals(logs);
+    if (events.length === 0) return { approvals: [], revoked: 0, historyComplete };
+    
+    const states = await readApprovalState(address, chain, events);
+    const live = states.filter(event => {
+        if (event.kind === 'allowance') return event.state > 0n;
+        if (event.kind === 'token') {
+            return event.state?.toLowerCase() === event.spender.toLowerCase() &&
+                event.detail?.toLowerCase() === address.toLowerCase();
+        }
+        return event.state === true;
+    });
+    if (!fromExplorer) await fillApprovalTimestamps(chain, live);
+    
+    const contracts = [...new Set(live.map(e => e.contractAddress))];
+    const erc20s = [...new Set(live.filter(e => e.kind === 'allowance').map(e => e.contractAddress))];
+    const nftContracts = [...new Set(live.filter(e => e.kind !== 'allowance').map(e => e.contractAddress))];
+    
+    const [metadata, prices, floors, codeStatus] = await Promise.all([
+        contracts.length ? getTokenMetadata(chain, contracts) : {},
+        erc20s.length ? resolvePrices(erc20s.map(contractAddress => ({ chain, contractAddress })), report) : {},
+        nftContracts.length && hasNftApi(chain) ? fetchFloorPrices(chain, nftContracts) : {},
+        getSpenderCodeStatus(chain, [...new Set(live.map(e => e.spender))])
+    ]);
+    
+    // Operator approvals cover every NFT the wallet holds in the collection
+    const nftBalances = {};
+    const operatorContracts = [...new Set(live.filter(e => e.kind === 'operator' && e.detail !== true).map(e => e.contractAddress))];
+    const balanceResults = await multicall(chain, operatorContracts.map(target => ({
+        target,
+        callData: approvalInterface.encodeFunctionData('balanceOf', [address])
+    })));
+    operatorContracts.forEach((contractAddress, i) => {
+        nftBalances[contractAddress] = decodeUintResult('balanceOf', balanceResults[i]);
+    });
+    
+    const floorUsd = {};
+    const pickedFloors = await pickFloorPrices(chain, floors);
+    nftContracts.forEach(contractAddress => {
+        floorUsd[contractAddress] = pickedFloors[contractAddress]?.floorPriceUsd ?? null;
+    });
+    
+    const now = Date.now();
+    const approvals = live.map(event => {
+        const meta = metadata[event.contractAddress] || {};
+        const standard = event.kind === 'allowance' ? 'erc20' : (event.detail === true ? 'erc1155' : 'erc721');
+        const approval = {
+            chain,
+            chainEmoji: CHAIN_MAP[chain].emoji,
+            standard,
+            type: event.kind,
+            token: {
+                address: event.contractAddress,
+                name: meta.name || null,
+                symbol: meta.symbol || null,
+                logo: meta.logo || null
+            },
+            tokenId: event.tokenId,
+            spender: classifySpender(chain, event.spender, codeStatus[event.spender] ?? null),
+            allowance: null,
+            isUnlimited: event.kind === 'operator',
+            exposedAmount: null,
+            exposedUsd: null,
+            lastApprovedAt: event.timestamp ? new Date(event.timestamp).toISOString() : null,
+            ageDays: event.timestamp ? Math.floor((now - event.timestamp) / 86400000) : null,
+            lastApprovalTx: event.txHash,
+            blockNumber: event.blockNumber
+        };
+        
+        if (event.kind === 'allowance') {
+            const decimals = meta.decimals ?? 18;
+            const exposed = event.detail === null ? null : (event.state < event.detail ? event.state : event.detail);
+            const price = prices[priceKey(chain, event.contractAddress)]?.price;
+            
+            approval.isUnlimited = event.state >= UNLIMITED_ALLOWANCE;
+            approval.allowance = approval.isUnlimited ? 'unlimited' : ethers.formatUnits(event.state, decimals);
+            approval.exposedAmount = exposed === null ? null : ethers.formatUnits(exposed, decimals);
+            approval.exposedUsd = exposed !== null && price ? computeUsdValue(exposed, decimals, price) : null;
+        } else if (standard === 'erc721') {
+            const held = event.kind === 'token' ? 1n : nftBalances[event.contractAddress];
+            approval.exposedAmount = held === null || held === undefined ? null : held.toString();
+            approval.exposedUsd = held !== null && held !== undefined && floorUsd[event.contractAddress] !== null ?
+                Number(held) * floorUsd[event.contractAddress] : null;
+        }
+        
+        return { ...approval, ...rateApproval(approval) };
+    });
+    
+    report.hasData = approvals.length > 0;
+    logger.debug('Approvals audited', { chain, address, live: approvals.length, revoked: events.length - live.length });
+    return { approvals, revoked: events.length - live.length, historyComplete };
+}
+
+app.get('/api/wallet/:addressOrEns/approvals', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const chains = parseListParam(req.query.chains, CHAINS.map(c => c.id), 'chains');
+        const { address, ensName } = await resolveAddressInput(req.params.addressOrEns);
+        
+        const cacheKey = `approvals_${address.toLowerCase()}_${chains.join(',')}`;
+        let audit = req.query.refresh === 'true' ? undefined : await cache.get(cacheKey);
+        
+        if (!audit) {
+            logger.info('Auditing approvals', { address, chains });
+            
+            const results = await Promise.all(chains.map(chain => runSource(
+                (report) => fetchApprovalsSafe(address, chain, report),
+                60000,
+                { approvals: [], revoked: 0, historyComplete: false }
+            )));
+            
+            const approvals = results.flatMap(r => r.data.approvals).sort((a, b) =>
+                RISK_ORDER[a.risk] - RISK_ORDER[b.risk] || (b.exposedUsd || 0) - (a.exposedUsd || 0));
+            const sources = Object.fromEntries(chains.map((chain, i) => [chain, results[i].status]));
+            const count = (flag) => approvals.filter(a => a.flags.includes(flag)).length;
+            
+            audit = {
+                approvals,
+                summary: {
+                    total: approvals.length,
+                    highRisk: approvals.filter(a => a.risk === 'high').length,
+                    mediumRisk: approvals.filter(a => a.risk === 'medium').length,
+                    unlimited: count('unlimited'),
+                    stale: count('stale'),
+                    riskySpenders: count('risky-spender'),
+                    exposedUsd: approvals.reduce((sum, a) => sum + (a.exposedUsd || 0), 0),
+                    revoked: results.reduce((sum, r) => sum + r.data.revoked, 0)
+                },
+                // Without Etherscan only recent blocks are searched, so older approvals can be missing
+                historyComplete: Object.fromEntries(chains.map((chain, i) => [chain, results[i].data.historyComplete])),
+                sources,
+                degraded: Object.values(sources).some(s => !['ok', 'disabled'].includes(s.status))
+            };
+            
+            if (!audit.degraded) {
+                await cache.set(cacheKey, audit, 300);
+            }
+        }
+        
+        res.json({
+            address,
+            ensName,
+            ...audit,
+            staleAfterDays: APPROVAL_STALE_DAYS,
+            responseTime: Date.now() - startTime
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Approvals request failed', { error });
+        res.status(500).json({
+            error: 'Failed to audit approvals',
+            message: error.message,
             responseTime: Date.now() - startTime
+        });
+    }
+});
+
+// ============================================
+// EXPORTS & TAX LOTS
+// ============================================
+
+// /api/wallet/:address/export?format=csv|json&report=... for accountants:
+//   holdings      current balances with prices (from the wallet response)
+//   transactions  full transfer history with USD value at the time of transfer
+//   lots          open FIFO cost-basis lots
+//   disposals     realized gains, one row per lot consumed (8949-style)
+// JSON defaults to report=all; CSV to holdings. History is walked with the
+// activity pager up to EXPORT_MAX_TRANSACTIONS, EXPORT_MAX_EXPLORER_CALLS and
+// EXPORT_HISTORY_DEADLINE_SECONDS (whichever runs out first marks the report
+// truncated) and priced from DefiLlama's
+// historical API. Every outgoing transfer is treated as a disposal and gas
+// paid as spending the native token - transfers between a user's own wallets
+// aren't recognised.
+
+const EXPORT_REPORTS = ['holdings', 'transactions', 'lots', 'disposals'];
+const EXPORT_MAX_TRANSACTIONS = parseInt(process.env.EXPORT_MAX_TRANSACTIONS) || 5000;
+const EXPORT_MAX_EXPLORER_CALLS = parseInt(process.env.EXPORT_MAX_EXPLORER_CALLS) || 200;
+const EXPORT_HISTORY_DEADLINE_MS = (parseInt(process.env.EXPORT_HISTORY_DEADLINE_SECONDS) || 120) * 1000;
+const EXPORT_HISTORY_TYPES = ['normal', 'internal', 'erc20', 'erc721', 'erc1155'];
+const LONG_TERM_DAYS = 365;
+
+// Pages through the whole history as batch work, so a large export only uses
+// explorer capacity that interactive requests leave free
+async function fetchFullHistory(address, options) {
+    const items = [];
+    const sources = {};
+    const deadline = Date.now() + EXPORT_HISTORY_DEADLINE_MS;
+    let calls = 0;
+    let cursor = null;
+    let truncated = false;
+    
+    do {
+        const page = await fetchActivityPage(address, { ...options, cursor, limit: ACTIVITY_MAX_LIMIT, decode: false, priority: 'batch' });
+        items.push(...page.items);
+        calls += page.calls;
+        Object.entries(page.sources).forEach(([key, status]) => {
+            if (!sources[key] || status.status !== 'ok') sources[key] = status;
+        });
+        
+        cursor = page.nextCursor ? decodeCursor(page.nextCursor) : null;
+        if (cursor && (items.length >= EXPORT_MAX_TRANSACTIONS || calls >= EXPORT_MAX_EXPLORER_CALLS || Date.now() >= deadline)) {
+            logger.warn('Export history truncated', { address, items: items.length, calls, durationMs: Date.now() - deadline + EXPORT_HISTORY_DEADLINE_MS });
+            truncated = true;
+            break;
+        }
+    } while (cursor);
+    
+    return { items, sources, truncated };
+}
+
+function isFungible(item) {
+    return item.asset.type === 'native' || item.asset.type === 'erc20';
+}
+
+function assetDecimals(item) {
+    return item.asset.type === 'native' ? 18 : (item.asset.decimals ?? 18);
+}
+
+// Adds priceUsd/valueUsd (and feeUsd) at the time of each transfer
+async function priceHistory(items, report) {
+    const unixTime = (item) => Math.floor(Date.parse(item.timestamp) / 1000);
+    const requests = [];
+    items.forEach(item => {
+        // Unpriced until the lookup finishes, so a timed-out run leaves nulls
+        // rather than undefined values that turn into NaN in the tax lots
+        item.priceUsd = null;
+        item.valueUsd = null;
+        if (item.feePaidByWallet) item.feeUsd = null;
+        if (isFungible(item)) {
+            requests.push({ chain: item.chain, contractAddress: item.asset.contractAddress || null, timestamp: unixTime(item) });
+        }
+        if (item.feePaidByWallet) {
+            requests.push({ chain: item.chain, contractAddress: null, timestamp: unixTime(item) });
+        }
+    });
+    
+    const prices = await resolveHistoricalPrices(requests, report);
+    // The report was already built without prices - don't touch its items
+    if (report?.timedOut) return;
+    
+    items.forEach(item => {
+        const ts = unixTime(item);
+        if (isFungible(item)) {
+            item.priceUsd = prices[historicalPriceKey(item.chain, item.asset.contractAddress || null, ts)] ?? null;
+            item.valueUsd = item.priceUsd === null ? null :
+                computeUsdValue(toRawAmount(item.value, assetDecimals(item)), assetDecimals(item), item.priceUsd);
+        }
+        if (item.feePaidByWallet) {
+            const nativePrice = prices[historicalPriceKey(item.chain, null, ts)] ?? null;
+            item.feeUsd = nativePrice === null ? null : computeUsdValue(toRawAmount(item.fee, 18), 18, nativePrice);
+        }
+    });
+    
+    if (report) report.hasData = items.some(item => item.priceUsd !== null);
+}
+
+// Replays priced history oldest first: incoming fungible transfers open lots,
+// outgoing ones (and gas the wallet paid) consume the oldest lots first.
+// Disposals the known history can't cover are reported with no cost basis.
+function buildTaxLots(items) {
+    const lotsByAsset = {};
+    const disposals = [];
+    const ordered = [...items].sort((a, b) => compareActivity(b, a));
+    
+    const dispose = (item, asset, amount, price, kind) => {
+        const key = `${item.chain}:${asset.contractAddress ? asset.contractAddress.toLowerCase() : 'native'}`;
+        const lots = lotsByAsset[key] || [];
+        const disposedAt = Date.parse(item.timestamp);
+        let remaining = amount;
+        
+        const record = (portion, lot) => {
+            const proceedsUsd = price === null ? null : computeUsdValue(portion, asset.decimals, price);
+            const costBasisUsd = lot && lot.costBasisUsd !== null ?
+                lot.costBasisUsd * Number(portion) / Number(lot.amount) : null;
+            const holdingDays = lot ? Math.floor((disposedAt - Date.parse(lot.acquiredAt)) / 86400000) : null;
+            disposals.push({
+                chain: item.chain,
+                symbol: asset.symbol,
+                contractAddress: asset.contractAddress || null,
+                kind,
+                amount: ethers.formatUnits(portion, asset.decimals),
+                acquiredAt: lot ? lot.acquiredAt : null,
+                acquiredHash: lot ? lot.hash : null,
+                disposedAt: item.timestamp,
+                disposedHash: item.hash,
+                proceedsUsd,
+                costBasisUsd,
+                gainUsd: proceedsUsd !== null && costBasisUsd !== null ? proceedsUsd - costBasisUsd : null,
+                holdingDays,
+                term: holdingDays === null ? null : (holdingDays > LONG_TERM_DAYS ? 'long' : 'short')
+            });
+        };
+        
+        while (remaining > 0n && lots.length > 0) {
+            const lot = lots[0];
+            const portion = lot.remaining < remaining ? lot.remaining : remaining;
+            record(portion, lot);
+            lot.remaining -= portion;
+            remaining -= portion;
+            if (lot.remaining === 0n) lots.shift();
+        }
+        if (remaining > 0n) record(remaining, null);
+    };
+    
+    ordered.forEach(item => {
+        if (item.feePaidByWallet) {
+            const native = CHAIN_MAP[item.chain].native;
+            const fee = toRawAmount(item.fee, 18);
+            const price = item.feeUsd === null || fee === 0n ? null : item.feeUsd / parseFloat(item.fee);
+            if (fee > 0n) dispose(item, { symbol: native.symbol, contractAddress: null, decimals: 18 }, fee, price, 'fee');
+        }
+        
+        if (!isFungible(item) || item.status !== 'success' || item.direction === 'self') return;
+        
+        const decimals = assetDecimals(item);
+        const amount = toRawAmount(item.value, decimals);
+        if (amount === 0n) return;
+        
+        const asset = { symbol: item.asset.symbol, contractAddress: item.asset.contractAddress || null, decimals };
+        if (item.direction === 'in') {
+            const key = `${item.chain}:${asset.contractAddress ? asset.contractAddress.toLowerCase() : 'native'}`;
+            (lotsByAsset[key] = lotsByAsset[key] || []).push({
+                chain: item.chain,
+                ...asset,
+                acquiredAt: item.timestamp,
+                hash: item.hash,
+                amount,
+                remaining: amount,
+                costBasisUsd: item.valueUsd
+            });
+        } else {
+            dispose(item, asset, amount, item.priceUsd, 'transfer');
+        }
+    });
+    
+    const lots = Object.values(lotsByAsset).flat().map(lot => ({
+        chain: lot.chain,
+        symbol: lot.symbol,
+        contractAddress: lot.contractAddress,
+        acquiredAt: lot.acquiredAt,
+        acquiredHash: lot.hash,
+        amount: ethers.formatUnits(lot.remaining, lot.decimals),
+        costBasisUsd: lot.costBasisUsd === null ? null : lot.costBasisUsd * Number(lot.remaining) / Number(lot.amount),
+        unitCostUsd: lot.costBasisUsd === null ? null : lot.costBasisUsd / parseFloat(ethers.formatUnits(lot.amount, lot.decimals))
+    }));
+    
+    const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const termGain = (term) => sum(disposals.filter(d => d.term === term), 'gainUsd');
+    
+    return {
+        lots,
+        disposals,
+        summary: {
+            openLots: lots.length,
+            openCostBasisUsd: sum(lots, 'costBasisUsd'),
+            disposals: disposals.length,
+            proceedsUsd: sum(disposals, 'proceedsUsd'),
+            costBasisUsd: sum(disposals, 'costBasisUsd'),
+            realizedGainUsd: sum(disposals, 'gainUsd'),
+            shortTermGainUsd: termGain('short'),
+            longTermGainUsd: termGain('long'),
+            missingCostBasis: disposals.filter(d => d.costBasisUsd === null).length,
+            missingPrices: items.filter(item => isFungible(item) && item.priceUsd === null).length
+        }
+    };
+}
+
+async function buildTaxReport(address, options, refresh) {
+    const cacheKey = `export_${address.toLowerCase()}_${options.chains.join(',')}_${options.fromTime ?? ''}_${options.toTime ?? ''}`;
+    if (!refresh) {
+        const cached = await cache.get(cacheKey);
+        if (cached) return cached;
+    }
+    
+    return coalesce(cacheKey, async () => {
+        logger.info('Building tax report', { address, chains: options.chains });
+        
+        const history = await fetchFullHistory(address, options);
+        history.items.forEach(item => {
+            if (item.fee) item.feePaidByWallet = item.from.toLowerCase() === address.toLowerCase();
+        });
+        const pricing = await runSource((report) => priceHistory(history.items, report), 60000);
+        const transactions = history.items.sort(compareActivity);
+        
+        const result = {
+            transactions,
+            ...buildTaxLots(transactions),
+            truncated: history.truncated,
+            sources: { ...history.sources, historicalPrices: pricing.status }
+        };
+        result.degraded = Object.values(result.sources).some(s => !['ok', 'disabled'].includes(s.status));
+        
+        if (!result.degraded) {
+            await cache.set(cacheKey, result, 600);
+        }
+        return result;
+    });
+}
+
+// Columns are [header, row => value]. Text cells starting with = + - @ are
+// prefixed with ' so token names can't run as spreadsheet formulas.
+function toCsv(columns, rows) {
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        // Token names and symbols are attacker-controlled; only plain numbers (negative
+        // amounts and gains) may start with "-", everything else gets the quote prefix
+        const isNumber = typeof value === 'number' || typeof value === 'bigint' || /^-?\d+(\.\d+)?$/.test(text);
+        if (!isNumber && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [
+        columns.map(([header]) => header).join(','),
+        ...rows.map(row => columns.map(([, value]) => cell(value(row))).join(','))
+    ].join('\n') + '\n';
+}
+
+const EXPORT_CSV_COLUMNS = {
+    holdings: [
+        ['chain', r => r.chain],
+        ['symbol', r => r.symbol],
+        ['name', r => r.name],
+        ['contract_address', r => r.isNative ? '' : r.contractAddress],
+        ['balance', r => r.balance],
+        ['raw_balance', r => r.rawBalance],
+        ['decimals', r => r.decimals],
+        ['price_usd', r => r.price],
+        ['value_usd', r => r.usdValue],
+        ['price_source', r => r.priceSource],
+        ['defi_receipt', r => !!r.isDefiReceipt]
+    ],
+    transactions: [
+        ['timestamp', r => r.timestamp],
+        ['chain', r => r.chain],
+        ['hash', r => r.hash],
+        ['type', r => r.type],
+        ['direction', r => r.direction],
+        ['status', r => r.status],
+        ['from', r => r.from],
+        ['to', r => r.to],
+        ['asset', r => r.asset.symbol],
+        ['contract_address', r => r.asset.contractAddress],
+        ['token_id', r => r.asset.tokenId],
+        ['amount', r => r.value],
+        ['price_usd', r => r.priceUsd],
+        ['value_usd', r => r.valueUsd],
+        ['fee', r => r.feePaidByWallet ? r.fee : null],
+        ['fee_usd', r => r.feePaidByWallet ? r.feeUsd : null],
+        ['method', r => r.method]
+    ],
+    lots: [
+        ['chain', r => r.chain],
+        ['symbol', r => r.symbol],
+        ['contract_address', r => r.contractAddress],
+        ['acquired_at', r => r.acquiredAt],
+        ['acquired_hash', r => r.acquiredHash],
+        ['amount', r => r.amount],
+        ['cost_basis_usd', r => r.costBasisUsd],
+        ['unit_cost_usd', r => r.unitCostUsd]
+    ],
+    disposals: [
+        ['chain', r => r.chain],
+        ['symbol', r => r.symbol],
+        ['contract_address', r => r.contractAddress],
+        ['kind', r => r.kind],
+        ['amount', r => r.amount],
+        ['acquired_at', r => r.acquiredAt],
+        ['disposed_at', r => r.disposedAt],
+        ['proceeds_usd', r => r.proceedsUsd],
+        ['cost_basis_usd', r => r.costBasisUsd],
+        ['gain_usd', r => r.gainUsd],
+        ['term', r => r.term],
+        ['acquired_hash', r => r.acquiredHash],
+        ['disposed_hash', r => r.disposedHash]
+    ]
+};
+
+app.get('/api/wallet/:addressOrEns/export', async (req, res) => {
+    const startTime = Date.now();
+    
+    try {
+        const format = req.query.format || 'json';
+        if (!['csv', 'json'].includes(format)) throw badRequest('Invalid format, expected csv or json');
+        
+        const report = req.query.report || (format === 'csv' ? 'holdings' : 'all');
+        const allowedReports = format === 'json' ? [...EXPORT_REPORTS, 'all'] : EXPORT_REPORTS;
+        if (!allowedReports.includes(report)) throw badRequest(`Invalid report, expected one of ${allowedReports.join(', ')}`);
+        
+        const needsHistory = report !== 'holdings';
+        if (needsHistory && !process.env.ETHERSCAN_API_KEY) {
+            return res.status(503).json({ error: 'Transaction reports require ETHERSCAN_API_KEY' });
+        }
+        
+        const options = {
+            chains: parseListParam(req.query.chains, CHAINS.filter(c => c.explorerApi).map(c => c.id), 'chains'),
+            types: EXPORT_HISTORY_TYPES,
+            ...parseDateRange(req.query),
+            fromBlock: null,
+            toBlock: null
         };
+        const refresh = req.query.refresh === 'true';
+        const { address, ensName } = await resolveAddressInput(req.params.addressOrEns);
         
-        // Cache the response
-        cache.set(cacheKey, responseData, 300);
+        let wallet = null;
+        let pricedAt = null;
+        if (report === 'holdings' || report === 'all') {
+            const cached = refresh ? null : await getCachedWallet(address);
+            wallet = cached ? cached.data : await refreshWallet(address, ensName);
+            pricedAt = new Date(cached ? cached.storedAt : Date.now()).toISOString();
+        }
+        const taxReport = needsHistory ? await buildTaxReport(address, options, refresh) : null;
+        
+        const sections = {
+            holdings: wallet?.tokens,
+            transactions: taxReport?.transactions,
+            lots: taxReport?.lots,
+            disposals: taxReport?.disposals
+        };
         
-        console.log(`✅ Response sent in ${Date.now() - startTime}ms`);
-        res.json(responseData);
+        if (format === 'csv') {
+            const date = new Date().toISOString().slice(0, 10);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="${address}-${report}-${date}.csv"`);
+            return res.send(toCsv(EXPORT_CSV_COLUMNS[report], sections[report]));
+        }
         
+        res.json({
+            address,
+            ensName,
+            report,
+            generatedAt: new Date().toISOString(),
+            ...(wallet ? {
+                holdings: sections.holdings,
+                holdingsValueUsd: wallet.totalValue,
+                pricedAt
+            } : {}),
+            ...(report === 'all' || report === 'transactions' ? { transactions: sections.transactions } : {}),
+            ...(report === 'all' || report === 'lots' ? { lots: sections.lots } : {}),
+            ...(report === 'all' || report === 'disposals' ? { disposals: sections.disposals } : {}),
+            ...(taxReport ? {
+                summary: taxReport.summary,
+                truncated: taxReport.truncated,
+                sources: taxReport.sources,
+                degraded: taxReport.degraded
+            } : {}),
+            responseTime: Date.now() - startTime
+        });
     } catch (error) {
-        console.error('❌ FATAL ERROR:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch wallet data',
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Export request failed', { error });
+        res.status(500).json({
+            error: 'Failed to export wallet',
             message: error.message,
             responseTime: Date.now() - startTime
         });
@@ -306,409 +5520,1408 @@ app.get('/api/wallet/:addressOrEns', async (req, res) => {
 });
 
 // ============================================
-// TOKEN FETCHING (KEEP ORIGINAL WORKING VERSION)
+// PRICING ENGINE
+// ============================================
+
+// Prices are resolved per chain+contract (natives by their CoinGecko id) and
+// cached in priceCache. Lookup order: DefiLlama (one batched call for every
+// chain), CoinGecko (batched per chain), then DexScreener using the pair with
+// the deepest liquidity. Each result carries its source and a 0-1 confidence.
+
+const PRICE_CACHE_TTL = 60;
+const DEXSCREENER_BATCH_SIZE = 30;
+
+function priceKey(chain, contractAddress) {
+    return `${chain}:${contractAddress ? contractAddress.toLowerCase() : 'native'}`;
+}
+
+function coingeckoHeaders() {
+    return process.env.COINGECKO_API_KEY ? { 'x-cg-demo-api-key': process.env.COINGECKO_API_KEY } : {};
+}
+
+// DexScreener exposes no confidence score, so derive one from pool depth
+function liquidityConfidence(liquidityUsd) {
+    if (liquidityUsd >= 1000000) return 0.9;
+    if (liquidityUsd >= 100000) return 0.75;
+    if (liquidityUsd >= 10000) return 0.5;
+    return 0.2;
+}
+
+async function fetchDefiLlamaPrices(requests, results) {
+    const idToKey = {};
+    requests.forEach(r => {
+        const config = CHAIN_MAP[r.chain];
+        if (!r.contractAddress && config.native.coingeckoId) {
+            idToKey[`coingecko:${config.native.coingeckoId}`] = r.key;
+        } else if (r.contractAddress && config.pricing?.defillama) {
+            idToKey[`${config.pricing.defillama}:${r.contractAddress.toLowerCase()}`] = r.key;
+        }
+    });
+    
+    const ids = Object.keys(idToKey);
+    const batchSize = 100;
+    for (let i = 0; i < ids.length; i += batchSize) {
+        const batch = ids.slice(i, i + batchSize);
+        const res = await axios.get(`https://coins.llama.fi/prices/current/${batch.join(',')}`, {
+            params: { searchWidth: '4h' },
+            timeout: 4000
+        });
+        
+        Object.entries(res.data?.coins || {}).forEach(([id, coin]) => {
+            const key = idToKey[id.startsWith('coingecko:') ? id : id.toLowerCase()];
+            if (key && coin.price > 0) {
+                results[key] = { price: coin.price, source: 'defillama', confidence: coin.confidence ?? 0.9 };
+            }
+        });
+    }
+}
+
+async function fetchCoinGeckoPrices(requests, results) {
+    const baseUrl = 'https://api.coingecko.com/api/v3';
+    
+    const natives = requests.filter(r => !r.contractAddress && CHAIN_MAP[r.chain].native.coingeckoId);
+    if (natives.length > 0) {
+        const ids = [...new Set(natives.map(r => CHAIN_MAP[r.chain].native.coingeckoId))];
+        const res = await axios.get(`${baseUrl}/simple/price`, {
+            params: { ids: ids.join(','), vs_currencies: 'usd' },
+            headers: coingeckoHeaders(),
+            timeout: 3000
+        });
+        natives.forEach(r => {
+            const price = res.data[CHAIN_MAP[r.chain].native.coingeckoId]?.usd;
+            if (price > 0) results[r.key] = { price, source: 'coingecko', confidence: 0.9 };
+        });
+    }
+    
+    const byPlatform = {};
+    requests.filter(r => r.contractAddress && CHAIN_MAP[r.chain].pricing?.coingeckoPlatform).forEach(r => {
+        const platform = CHAIN_MAP[r.chain].pricing.coingeckoPlatform;
+        (byPlatform[platform] = byPlatform[platform] || []).push(r);
+    });
+    
+    await Promise.all(Object.entries(byPlatform).map(async ([platform, platformRequests]) => {
+        const res = await axios.get(`${baseUrl}/simple/token_price/${platform}`, {
+            params: {
+                contract_addresses: platformRequests.map(r => r.contractAddress.toLowerCase()).join(','),
+                vs_currencies: 'usd'
+            },
+            headers: coingeckoHeaders(),
+            timeout: 3000
+        });
+        platformRequests.forEach(r => {
+            const price = res.data[r.contractAddress.toLowerCase()]?.usd;
+            if (price > 0) results[r.key] = { price, source: 'coingecko', confidence: 0.9 };
+        });
+    }));
+}
+
+async function fetchDexScreenerPrices(requests, results) {
+    const byChain = {};
+    requests.filter(r => r.contractAddress && CHAIN_MAP[r.chain].pricing?.dexscreener).forEach(r => {
+        const dexChain = CHAIN_MAP[r.chain].pricing.dexscreener;
+        (byChain[dexChain] = byChain[dexChain] || []).push(r);
+    });
+    
+    const batches = [];
+    Object.entries(byChain).forEach(([dexChain, chainRequests]) => {
+        for (let i = 0; i < chainRequests.length; i += DEXSCREENER_BATCH_SIZE) {
+            batches.push([dexChain, chainRequests.slice(i, i + DEXSCREENER_BATCH_SIZE)]);
+        }
+    });
+    
+    await Promise.all(batches.map(async ([dexChain, batch]) => {
+        const addresses = batch.map(r => r.contractAddress.toLowerCase());
+        const res = await axios.get(
+            `https://api.dexscreener.com/tokens/v1/${dexChain}/${addresses.join(',')}`,
+            { timeout: 3000 }
+        );
+        
+        // Keep the deepest-liquidity pair where the token is the base asset
+        const best = {};
+        (Array.isArray(res.data) ? res.data : []).forEach(pair => {
+            const address = pair.baseToken?.address?.toLowerCase();
+            const liquidityUsd = pair.liquidity?.usd || 0;
+            if (!address || !pair.priceUsd) return;
+            if (!best[address] || liquidityUsd > best[address].liquidityUsd) {
+                best[address] = { price: parseFloat(pair.priceUsd), liquidityUsd, dex: pair.dexId };
+            }
+        });
+        
+        batch.forEach(r => {
+            const pair = best[r.contractAddress.toLowerCase()];
+            if (pair && pair.price > 0) {
+                results[r.key] = {
+                    price: pair.price,
+                    source: 'dexscreener',
+                    confidence: liquidityConfidence(pair.liquidityUsd),
+                    liquidityUsd: pair.liquidityUsd,
+                    dex: pair.dex
+                };
+            }
+        });
+    }));
+}
+
+// Resolves [{ chain, contractAddress }] (contractAddress null for the native
+// asset) to { [priceKey]: { price, source, confidence, ... } | null }
+async function resolvePrices(requests, report) {
+    const results = {};
+    const pending = [];
+    const seen = new Set();
+    
+    const unique = [];
+    requests.forEach(({ chain, contractAddress }) => {
+        const key = priceKey(chain, contractAddress);
+        if (seen.has(key) || !CHAIN_MAP[chain]) return;
+        seen.add(key);
+        unique.push({ key, chain, contractAddress: contractAddress || null });
+    });
+    
+    const cachedPrices = await priceCache.mget(unique.map(r => r.key));
+    unique.forEach((r, i) => {
+        if (cachedPrices[i] !== undefined) {
+            results[r.key] = cachedPrices[i];
+        } else {
+            pending.push(r);
+        }
+    });
+    
+    const sources = [
+        ['defillama', fetchDefiLlamaPrices],
+        ['coingecko', fetchCoinGeckoPrices],
+        ['dexscreener', fetchDexScreenerPrices]
+    ];
+    
+    const found = {};
+    let lookupFailed = false;
+    for (const [name, fetcher] of sources) {
+        const remaining = pending.filter(r => !found[r.key]);
+        if (remaining.length === 0) break;
+        
+        try {
+            await fetcher(remaining, found);
+        } catch (error) {
+            logger.warn('Price lookup failed', { source: name, tokens: remaining.length, error });
+            recordSourceError(report, name, error);
+            lookupFailed = true;
+        }
+    }
+    
+    await Promise.all(pending.map(r => {
+        results[r.key] = found[r.key] || null;
+        // Cache misses too, so unpriceable tokens don't hit every API each
+        // request - unless a source was down and might have known the price
+        if (results[r.key] || !lookupFailed) {
+            return priceCache.set(r.key, results[r.key], PRICE_CACHE_TTL);
+        }
+    }));
+    
+    return results;
+}
+
+// Historical USD prices from DefiLlama for [{ chain, contractAddress, timestamp }]
+// (unix seconds). Timestamps are bucketed to the hour so a busy day of
+// transfers costs a handful of lookups; results (misses included) are cached
+// for HISTORICAL_PRICE_CACHE_TTL. Returns { [historicalPriceKey]: price | null }.
+const HISTORICAL_PRICE_CACHE_TTL = 30 * 86400;
+const HISTORICAL_PRICE_BUCKET = 3600;
+const HISTORICAL_PRICE_BATCH_SIZE = 50;
+const historicalPriceCache = createCache('historical-prices', HISTORICAL_PRICE_CACHE_TTL);
+
+function historicalPriceKey(chain, contractAddress, timestamp) {
+    const bucket = Math.floor(timestamp / HISTORICAL_PRICE_BUCKET) * HISTORICAL_PRICE_BUCKET;
+    return `${priceKey(chain, contractAddress)}@${bucket}`;
+}
+
+function defiLlamaCoinId(chain, contractAddress) {
+    const config = CHAIN_MAP[chain];
+    if (!contractAddress) return config.native.coingeckoId ? `coingecko:${config.native.coingeckoId}` : null;
+    return config.pricing?.defillama ? `${config.pricing.defillama}:${contractAddress.toLowerCase()}` : null;
+}
+
+async function resolveHistoricalPrices(requests, report) {
+    const results = {};
+    const pending = new Map();
+    requests.forEach(({ chain, contractAddress, timestamp }) => {
+        const key = historicalPriceKey(chain, contractAddress, timestamp);
+        if (!pending.has(key) && CHAIN_MAP[chain]) {
+            pending.set(key, { coinId: defiLlamaCoinId(chain, contractAddress), bucket: parseInt(key.split('@')[1]) });
+        }
+    });
+    
+    const keys = [...pending.keys()];
+    const cached = await historicalPriceCache.mget(keys);
+    const misses = [];
+    keys.forEach((key, i) => {
+        if (cached[i] !== undefined) {
+            results[key] = cached[i] || null;
+        } else if (pending.get(key).coinId) {
+            misses.push(key);
+        } else {
+            results[key] = null;
+        }
+    });
+    
+    for (let i = 0; i < misses.length; i += HISTORICAL_PRICE_BATCH_SIZE) {
+        if (report?.timedOut) break;
+        const batch = misses.slice(i, i + HISTORICAL_PRICE_BATCH_SIZE);
+        const coins = {};
+        batch.forEach(key => {
+            const { coinId, bucket } = pending.get(key);
+            (coins[coinId] = coins[coinId] || []).push(bucket);
+        });
+        
+        try {
+            const res = await axios.get('https://coins.llama.fi/batchHistorical', {
+                params: { coins: JSON.stringify(coins), searchWidth: '6h' },
+                timeout: 10000
+            });
+            
+            const found = res.data?.coins || {};
+            await Promise.all(batch.map(key => {
+                const { coinId, bucket } = pending.get(key);
+                const coin = found[coinId] || found[coinId.toLowerCase()];
+                // DefiLlama returns the nearest data point, not the requested timestamp
+                const nearest = (coin?.prices || []).reduce((best, p) =>
+                    !best || Math.abs(p.timestamp - bucket) < Math.abs(best.timestamp - bucket) ? p : best, null);
+                results[key] = nearest?.price > 0 ? nearest.price : null;
+                return historicalPriceCache.set(key, results[key] || 0);
+            }));
+        } catch (error) {
+            logger.warn('Historical price lookup failed', { source: 'defillama', error });
+            recordSourceError(report, 'defillama', error);
+            batch.forEach(key => {
+                results[key] = null;
+            });
+        }
+    }
+    
+    return results;
+}
+
+async function getNativePrice(chain) {
+    const prices = await resolvePrices([{ chain, contractAddress: null }]);
+    return prices[priceKey(chain, null)]?.price || 0;
+}
+
+async function fetchPricesForTokens(tokens, report) {
+    const prices = await resolvePrices(
+        tokens.map(t => ({ chain: t.chain, contractAddress: t.isNative ? null : t.contractAddress })),
+        report
+    );
+    // Past the timeout these tokens may already be assembled, cached or sent
+    if (report?.timedOut) return;
+    
+    tokens.forEach(token => {
+        const quote = prices[priceKey(token.chain, token.isNative ? null : token.contractAddress)];
+        token.price = quote?.price || 0;
+        token.usdValue = quote ? computeUsdValue(getRawBalance(token), token.decimals ?? 18, quote.price) : 0;
+        token.priceSource = quote?.source || null;
+        token.priceConfidence = quote?.confidence ?? 0;
+        if (quote?.liquidityUsd !== undefined) {
+            token.liquidityUsd = quote.liquidityUsd;
+        }
+    });
+    
+    const priced = tokens.filter(t => t.price > 0).length;
+    logger.debug('Tokens priced', { priced, count: tokens.length });
+    
+    if (report) report.hasData = priced > 0;
+}
+
+// ============================================
+// REAL-TIME SUBSCRIPTIONS (SSE)
+// ============================================
+
+// GET /api/subscribe?addresses=0x..,name.eth[&chains=base,ethereum] opens a
+// Server-Sent Events stream. While anyone is subscribed on a chain, a watcher
+// polls for new blocks through the chain's RPC providers and scans them for
+// ERC-20/721 Transfer logs (eth_getLogs filtered by the padded addresses) and
+// native value touching subscribed addresses. Native value is found by
+// comparing the addresses' balances across the scanned range, which also
+// catches value moved by internal calls (contract withdrawals). Only when a
+// balance changed are the range's blocks fetched, to attribute the change to
+// top-level transactions; whatever they don't explain is reported as an
+// internal transfer with no txHash. Each hit invalidates the address's cached responses and pushes an "update"
+// event with the transfers and the resulting balance deltas. Addresses watched
+// by webhooks (see WEBHOOK ALERTS) keep the watcher running too.
+
+const BLOCK_POLL_INTERVAL_MS = parseInt(process.env.BLOCK_POLL_INTERVAL_MS) || 4000;
+const MAX_BLOCKS_PER_POLL = 20;
+const SUBSCRIPTION_MAX_ADDRESSES = 25;
+const SSE_HEARTBEAT_MS = 25000;
+
+const subscribers = new Set();
+const blockWatchers = {};
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function getSubscribedAddresses(chain) {
+    const addresses = new Set();
+    subscribers.forEach(sub => {
+        if (sub.chains.has(chain)) sub.addresses.forEach(a => addresses.add(a));
+    });
+    return addresses;
+}
+
+// Drops every cached response built for the address (ENS inputs are cached
+// under the resolved address, so this covers them too)
+async function invalidateAddressCache(address) {
+    const lower = address.toLowerCase();
+    const counts = await Promise.all([
+        cache.delPrefix(walletCacheKey(lower)),
+        cache.delPrefix(`nfts_${lower}_`),
+        cache.delPrefix(`approvals_${lower}_`),
+        cache.delPrefix(`export_${lower}_`)
+    ]);
+    return counts.reduce((sum, n) => sum + n, 0);
+}
+
+// Native balances (lowercase address -> bigint, or null when the read failed)
+async function getNativeBalances(chain, addresses, blockNumber) {
+    const list = [...addresses];
+    const results = await rpcBatchRequest(chain, list.map(address => ({
+        method: 'eth_getBalance',
+        params: [ethers.getAddress(address), ethers.toQuantity(blockNumber)]
+    })));
+    return new Map(list.map((address, i) => [address, results[i] === null ? null : BigInt(results[i])]));
+}
+
+// Transfers in [fromBlock, toBlock] touching any of the (lowercase) addresses,
+// grouped by address. `knownBalances` holds the native balances at
+// fromBlock - 1 from the previous scan; the balances at toBlock are returned
+// for the next one.
+async function scanBlocksForTransfers(chain, fromBlock, toBlock, addresses, knownBalances) {
+    const topics = [...addresses].map(a => ethers.zeroPadValue(a, 32));
+    const range = { fromBlock: ethers.toQuantity(fromBlock), toBlock: ethers.toQuantity(toBlock) };
+    const unknown = [...addresses].filter(a => !knownBalances.has(a));
+    
+    const [outgoing, incoming, before, balances] = await Promise.all([
+        rpcRequest(chain, 'eth_getLogs', [{ ...range, topics: [TRANSFER_TOPIC, topics] }]),
+        rpcRequest(chain, 'eth_getLogs', [{ ...range, topics: [TRANSFER_TOPIC, null, topics] }]),
+        unknown.length ? getNativeBalances(chain, unknown, fromBlock - 1) : new Map(),
+        getNativeBalances(chain, addresses, toBlock)
+    ]);
+    const balanceChanges = new Map();
+    addresses.forEach(address => {
+        const previous = knownBalances.has(address) ? knownBalances.get(address) : before.get(address);
+        const current = balances.get(address);
+        if (previous !== null && previous !== undefined && current !== null && current !== previous) {
+            balanceChanges.set(address, current - previous);
+        }
+    });
+    
+    const byAddress = {};
+    const add = (address, transfer) => {
+        const key = address.toLowerCase();
+        if (!addresses.has(key)) return;
+        (byAddress[key] = byAddress[key] || []).push(transfer);
+    };
+    
+    // A log can show up in both queries when the wallet sends to itself
+    const seenLogs = new Set();
+    [...outgoing, ...incoming].forEach(log => {
+        const logId = `${log.transactionHash}:${log.logIndex}`;
+        if (seenLogs.has(logId) || log.topics.length < 3) return;
+        seenLogs.add(logId);
+        
+        const from = topicToAddress(log.topics[1]);
+        const to = topicToAddress(log.topics[2]);
+        const isNft = log.topics.length === 4;
+        const transfer = {
+            txHash: log.transactionHash,
+            blockNumber: parseInt(log.blockNumber, 16),
+            contractAddress: ethers.getAddress(log.address),
+            standard: isNft ? 'erc721' : 'erc20',
+            from,
+            to,
+            rawAmount: isNft ? '1' : BigInt(log.data === '0x' ? 0 : log.data).toString(),
+            tokenId: isNft ? BigInt(log.topics[3]).toString() : undefined
+        };
+        add(from, { ...transfer, direction: 'out' });
+        add(to, { ...transfer, direction: 'in' });
+    });
+    
+    if (balanceChanges.size === 0) {
+        return { byAddress, balances };
+    }
+    
+    const blockNumbers = [];
+    for (let n = fromBlock; n <= toBlock; n++) blockNumbers.push(n);
+    const blocks = await rpcBatchRequest(chain, blockNumbers.map(n => ({
+        method: 'eth_getBlockByNumber',
+        params: [ethers.toQuantity(n), true]
+    })));
+    
+    const explained = new Map();
+    const senders = new Set();
+    const credit = (address, amount) => explained.set(address, (explained.get(address) || 0n) + amount);
+    blocks.forEach(block => {
+        (block?.transactions || []).forEach(tx => {
+            const from = tx.from.toLowerCase();
+            senders.add(from);
+            if (!tx.to || BigInt(tx.value) === 0n) return;
+            const value = BigInt(tx.value);
+            const transfer = {
+                txHash: tx.hash,
+                blockNumber: parseInt(tx.blockNumber, 16),
+                contractAddress: null,
+                standard: 'native',
+                from: ethers.getAddress(tx.from),
+                to: ethers.getAddress(tx.to),
+                rawAmount: value.toString()
+            };
+            add(tx.from, { ...transfer, direction: 'out' });
+            add(tx.to, { ...transfer, direction: 'in' });
+            credit(from, -value);
+            credit(tx.to.toLowerCase(), value);
+        });
+    });
+    
+    balanceChanges.forEach((change, address) => {
+        // Gas shows up as an unexplained decrease for addresses that sent a
+        // transaction, so for them only unexplained increases are reported
+        const residual = change - (explained.get(address) || 0n);
+        if (residual === 0n || (residual < 0n && senders.has(address))) return;
+        const incomingValue = residual > 0n;
+        add(address, {
+            txHash: null,
+            blockNumber: toBlock,
+            contractAddress: null,
+            standard: 'native',
+            internal: true,
+            from: incomingValue ? null : ethers.getAddress(address),
+            to: incomingValue ? ethers.getAddress(address) : null,
+            rawAmount: (incomingValue ? residual : -residual).toString(),
+            direction: incomingValue ? 'in' : 'out'
+        });
+    });
+    
+    return { byAddress, balances };
+}
+
+// Formats transfers and computes per-token deltas plus fresh balances
+async function buildUpdate(chain, address, transfers, blockNumber) {
+    const config = CHAIN_MAP[chain];
+    const contracts = [...new Set(transfers.filter(t => t.contractAddress).map(t => t.contractAddress))];
+    const metadata = contracts.length ? await getTokenMetadata(chain, contracts) : {};
+    
+    const balanceCalls = contracts.map(target => ({
+        target,
+        callData: erc20Interface.encodeFunctionData('balanceOf', [address])
+    }));
+    const [nativeBalance, tokenBalances] = await Promise.all([
+        transfers.some(t => t.standard === 'native') ?
+            rpcRequest(chain, 'eth_getBalance', [address, ethers.toQuantity(blockNumber)]).catch(() => null) :
+            null,
+        balanceCalls.length ? multicall(chain, balanceCalls).catch(() => []) : []
+    ]);
+    
+    const deltas = {};
+    const formatted = transfers.map(transfer => {
+        const meta = transfer.contractAddress ? metadata[transfer.contractAddress] : null;
+        const decimals = transfer.standard === 'native' ? 18 : transfer.standard === 'erc721' ? 0 : (meta?.decimals ?? 18);
+        const symbol = transfer.standard === 'native' ? config.native.symbol : (meta?.symbol || 'UNKNOWN');
+        const key = transfer.contractAddress || 'native';
+        const signed = BigInt(transfer.rawAmount) * (transfer.direction === 'in' ? 1n : -1n);
+        
+        if (!deltas[key]) {
+            deltas[key] = { contractAddress: transfer.contractAddress, symbol, decimals, standard: transfer.standard, raw: 0n };
+        }
+        deltas[key].raw += signed;
+        
+        const { rawAmount, ...rest } = transfer;
+        return { ...rest, symbol, decimals, amount: ethers.formatUnits(rawAmount, decimals) };
+    });
+    
+    return {
+        chain,
+        chainEmoji: config.emoji,
+        address,
+        blockNumber,
+        transfers: formatted,
+        deltas: Object.values(deltas).map(({ raw, decimals, ...delta }) => {
+            let balance = null;
+            if (delta.standard === 'native' && nativeBalance) {
+                balance = ethers.formatUnits(nativeBalance, 18);
+            } else if (delta.contractAddress) {
+                const value = decodeUintResult('balanceOf', tokenBalances[contracts.indexOf(delta.contractAddress)] || { success: false });
+                if (value !== null) balance = ethers.formatUnits(value, decimals);
+            }
+            return { ...delta, decimals, delta: ethers.formatUnits(raw, decimals), balance };
+        })
+    };
+}
+
+async function pollChain(chain) {
+    const watcher = blockWatchers[chain];
+    const webhookAddresses = getWebhookAddresses(chain);
+    const addresses = new Set([...getSubscribedAddresses(chain), ...webhookAddresses]);
+    
+    if (addresses.size === 0) {
+        logger.info('Stopping block watcher, no subscribers', { chain });
+        delete blockWatchers[chain];
+        return;
+    }
+    
+    try {
+        const latest = await withRpcFailover(chain, ep => ep.provider.getBlockNumber());
+        
+        if (watcher.lastBlock === null) {
+            // Webhook alerts pick up blocks missed while the server was down, within reason
+            const cursor = webhookAddresses.size ? webhookCursorStore.get(chain) : null;
+            watcher.lastBlock = cursor && latest - cursor <= WEBHOOK_MAX_CATCHUP_BLOCKS ? Math.min(cursor, latest) : latest;
+        }
+        if (latest > watcher.lastBlock) {
+            const fromBlock = watcher.lastBlock + 1;
+            const toBlock = Math.min(latest, watcher.lastBlock + MAX_BLOCKS_PER_POLL);
+            const approvalAddresses = getApprovalWatchAddresses(chain);
+            const [{ byAddress, balances }, approvalsByAddress] = await Promise.all([
+                scanBlocksForTransfers(chain, fromBlock, toBlock, addresses, watcher.nativeBalances),
+                approvalAddresses.size ? scanBlocksForApprovals(chain, fromBlock, toBlock, approvalAddresses) : {}
+            ]);
+            
+            for (const [lower, transfers] of Object.entries(byAddress)) {
+                const address = ethers.getAddress(lower);
+                const invalidated = await invalidateAddressCache(address);
+                const update = await buildUpdate(chain, address, transfers, toBlock);
+                logger.info('Transfers detected', { chain, address, block: toBlock, transfers: transfers.length, cacheEntriesCleared: invalidated });
+                
+                subscribers.forEach(sub => {
+                    if (sub.chains.has(chain) && sub.addresses.has(lower)) sendEvent(sub.res, 'update', update);
+                });
+                if (webhookAddresses.has(lower)) {
+                    await dispatchWebhookEvents(chain, address, update, approvalsByAddress[lower], toBlock);
+                }
+            }
+            
+            // Approvals don't move balances, so these addresses may have no transfers at all
+            for (const [lower, approvals] of Object.entries(approvalsByAddress)) {
+                if (byAddress[lower]) continue;
+                await cache.delPrefix(`approvals_${lower}_`);
+                await dispatchWebhookEvents(chain, ethers.getAddress(lower), null, approvals, toBlock);
+            }
+            
+            watcher.lastBlock = toBlock;
+            watcher.nativeBalances = new Map([...balances].filter(([, balance]) => balance !== null));
+        }
+        if (webhookAddresses.size) webhookCursorStore.set(chain, watcher.lastBlock);
+    } catch (error) {
+        logger.warn('Block poll failed', { chain, source: 'rpc', error });
+    }
+    
+    watcher.timer = setTimeout(() => pollChain(chain), BLOCK_POLL_INTERVAL_MS);
+    watcher.timer.unref();
+}
+
+function ensureBlockWatcher(chain) {
+    if (blockWatchers[chain]) return;
+    logger.info('Starting block watcher', { chain });
+    blockWatchers[chain] = { lastBlock: null, nativeBalances: new Map(), timer: null };
+    pollChain(chain);
+}
+
+app.get('/api/subscribe', async (req, res) => {
+    try {
+        const inputs = String(req.query.addresses || '').split(',').map(a => a.trim()).filter(Boolean);
+        if (inputs.length === 0) throw badRequest('addresses is required');
+        if (inputs.length > SUBSCRIPTION_MAX_ADDRESSES) {
+            throw badRequest(`At most ${SUBSCRIPTION_MAX_ADDRESSES} addresses per subscription`);
+        }
+        
+        const chains = parseListParam(req.query.chains, CHAINS.filter(c => rpcEndpoints[c.id].length).map(c => c.id), 'chains');
+        const resolved = [];
+        for (const input of inputs) {
+            resolved.push(await resolveAddressInput(input));
+        }
+        
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        
+        const subscriber = {
+            res,
+            addresses: new Set(resolved.map(r => r.address.toLowerCase())),
+            chains: new Set(chains)
+        };
+        subscribers.add(subscriber);
+        chains.forEach(ensureBlockWatcher);
+        
+        sendEvent(res, 'subscribed', { addresses: resolved, chains });
+        logger.info('Subscriber added', { addresses: resolved.length, chains, subscribers: subscribers.size });
+        
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            subscribers.delete(subscriber);
+            logger.info('Subscriber left', { subscribers: subscribers.size });
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Subscribe request failed', { error });
+        res.status(500).json({ error: 'Failed to subscribe', message: error.message });
+    }
+});
+
+// ============================================
+// WEBHOOK ALERTS
 // ============================================
 
-async function fetchTokensSafe(address, chain) {
+// POST /api/webhooks registers a URL, watched addresses and rules:
+//   { "type": "incoming_transfer", "minUsd": 1000, "token": "native" | "0x..." }
+//   { "type": "new_token", "includeSpam": false }
+//   { "type": "balance_below", "token": "native" | "0x...", "amount": "0.5" }
+//   { "type": "approval", "unlimitedOnly": true }
+// Watched addresses ride on the SSE block watcher, so rules are evaluated per
+// block batch with no extra polling. Matches are queued in a persistent
+// delivery store and POSTed as JSON, signed with the webhook's secret:
+//   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Failed deliveries retry with exponential backoff up to WEBHOOK_MAX_ATTEMPTS.
+// Each webhook's deliveries go out one at a time in the order they were
+// queued, and up to WEBHOOK_CONCURRENCY webhooks are worked in parallel, so a
+// slow receiver only delays its own events. After
+// WEBHOOK_DISABLE_AFTER_FAILURES failed attempts in a row a webhook is
+// disabled: no new events are queued and pending ones wait until it's
+// re-enabled with POST /api/webhooks/:id/enable.
+// Webhooks belong to the API key that created them; when API_KEYS isn't set
+// the deployment is treated as single-tenant. Private and loopback targets
+// are refused unless WEBHOOK_ALLOW_PRIVATE=true.
+
+const WEBHOOK_RULE_TYPES = ['incoming_transfer', 'new_token', 'balance_below', 'approval'];
+const WEBHOOK_MAX_PER_CLIENT = parseInt(process.env.WEBHOOK_MAX_PER_CLIENT) || 20;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const WEBHOOK_RETRY_MAX_MS = 3600000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_WORKER_INTERVAL_MS = 5000;
+const WEBHOOK_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY) || 5;
+const WEBHOOK_DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 25;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 7;
+const WEBHOOK_MAX_CATCHUP_BLOCKS = 1000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const webhookStore = createJsonStore('webhooks');
+const webhookDeliveryStore = createJsonStore('webhook-deliveries');
+// Last processed block per chain, so alerts resume where they left off after a restart
+const webhookCursorStore = createJsonStore('webhook-cursors');
+
+function getWebhooks(chain = null) {
+    return webhookStore.keys()
+        .map(id => webhookStore.get(id))
+        .filter(hook => !chain || hook.chains.includes(chain));
+}
+
+// Webhooks the block watcher evaluates rules for
+function getActiveWebhooks(chain) {
+    return getWebhooks(chain).filter(hook => !hook.disabledAt);
+}
+
+function getWebhookAddresses(chain) {
+    return new Set(getActiveWebhooks(chain).flatMap(hook => hook.addresses));
+}
+
+function getApprovalWatchAddresses(chain) {
+    return new Set(getActiveWebhooks(chain)
+        .filter(hook => hook.rules.some(rule => rule.type === 'approval'))
+        .flatMap(hook => hook.addresses));
+}
+
+// Secrets are only returned when a webhook is created
+function publicWebhook({ secret, ...hook }) {
+    return hook;
+}
+
+// Special-purpose ranges (RFC 6890 and the multicast/reserved blocks) that a
+// webhook must never reach. BlockList also matches IPv4-mapped IPv6 addresses
+// (::ffff:7f00:1) against the IPv4 rules; NAT64 and 6to4 embed an IPv4 address
+// too, so those prefixes are refused outright.
+const WEBHOOK_BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'], ['10.0.0.0', 8, 'ipv4'], ['100.64.0.0', 10, 'ipv4'], ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'], ['172.16.0.0', 12, 'ipv4'], ['192.0.0.0', 24, 'ipv4'], ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'], ['192.168.0.0', 16, 'ipv4'], ['198.18.0.0', 15, 'ipv4'], ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'], ['224.0.0.0', 4, 'ipv4'], ['240.0.0.0', 4, 'ipv4'],
+    ['::', 96, 'ipv6'], ['64:ff9b::', 96, 'ipv6'], ['64:ff9b:1::', 48, 'ipv6'], ['100::', 64, 'ipv6'],
+    ['2001::', 23, 'ipv6'], ['2001:db8::', 32, 'ipv6'], ['2002::', 16, 'ipv6'], ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'], ['fec0::', 10, 'ipv6'], ['ff00::', 8, 'ipv6']
+].reduce((list, [address, prefix, type]) => {
+    list.addSubnet(address, prefix, type);
+    return list;
+}, new net.BlockList());
+
+function isPrivateIp(ip) {
+    const type = net.isIPv4(ip) ? 'ipv4' : (net.isIPv6(ip) ? 'ipv6' : null);
+    // Anything that doesn't parse as an address is refused rather than guessed at
+    return !type || WEBHOOK_BLOCKED_RANGES.check(ip, type);
+}
+
+// Deliveries resolve the host through this lookup, so the address that was
+// checked is the one connected to - a DNS answer can't change in between
+function checkedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { all: true })
+        .then(addresses => {
+            if (!WEBHOOK_ALLOW_PRIVATE && addresses.some(a => isPrivateIp(a.address))) {
+                throw new Error(`${hostname} resolves to a private or reserved address`);
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        })
+        .catch(error => callback(error));
+}
+
+const webhookAgents = {
+    httpAgent: new http.Agent({ lookup: checkedLookup }),
+    httpsAgent: new https.Agent({ lookup: checkedLookup })
+};
+
+// Gives a clear 400 at registration; at delivery time checkedLookup does the
+// real enforcement (IP literals skip DNS, so they're checked here)
+async function assertPublicUrl(value) {
+    let url;
     try {
-        console.log(`  • Fetching ${chain} tokens...`);
-        const tokens = [];
+        url = new URL(value);
+    } catch (error) {
+        throw badRequest('Invalid webhook url');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw badRequest('Webhook url must be http(s)');
+    if (WEBHOOK_ALLOW_PRIVATE) return url;
+    
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(hostname) ?
+        [{ address: hostname }] :
+        await dns.lookup(hostname, { all: true }).catch(() => { throw badRequest(`Cannot resolve ${hostname}`); });
+    if (hostname === 'localhost' || addresses.some(a => isPrivateIp(a.address))) {
+        throw badRequest('Webhook url must not point to a private, loopback or reserved address');
+    }
+    return url;
+}
+
+function parseWebhookToken(value, name) {
+    if (value === undefined || value === null || value === 'native') return value ?? null;
+    if (!ethers.isAddress(value)) throw badRequest(`${name}: token must be "native" or a contract address`);
+    return value.toLowerCase();
+}
+
+function parseWebhookRules(rules) {
+    if (!Array.isArray(rules) || rules.length === 0) throw badRequest('rules must be a non-empty array');
+    
+    return rules.map((rule, i) => {
+        const name = `rules[${i}]`;
+        if (!WEBHOOK_RULE_TYPES.includes(rule?.type)) {
+            throw badRequest(`${name}: type must be one of ${WEBHOOK_RULE_TYPES.join(', ')}`);
+        }
         
-        // Get provider
-        const provider = providers[chain];
-        if (!provider) {
-            console.log(`    ⚠️ No provider for ${chain}`);
-            return [];
+        if (rule.type === 'incoming_transfer') {
+            if (rule.minUsd !== undefined && !(Number(rule.minUsd) >= 0)) throw badRequest(`${name}: minUsd must be a positive number`);
+            return { type: rule.type, minUsd: rule.minUsd === undefined ? null : Number(rule.minUsd), token: parseWebhookToken(rule.token, name) };
+        }
+        if (rule.type === 'new_token') {
+            return { type: rule.type, includeSpam: rule.includeSpam === true };
         }
+        if (rule.type === 'balance_below') {
+            if (!rule.token) throw badRequest(`${name}: token is required`);
+            if (!/^\d+(\.\d+)?$/.test(String(rule.amount))) throw badRequest(`${name}: amount must be a decimal string like "0.5"`);
+            return { type: rule.type, token: parseWebhookToken(rule.token, name), amount: String(rule.amount) };
+        }
+        return { type: rule.type, unlimitedOnly: rule.unlimitedOnly === true };
+    });
+}
+
+// Approval / ApprovalForAll grants (not revocations) by the addresses in [fromBlock, toBlock]
+async function scanBlocksForApprovals(chain, fromBlock, toBlock, addresses) {
+    const logs = await rpcRequest(chain, 'eth_getLogs', [{
+        fromBlock: ethers.toQuantity(fromBlock),
+        toBlock: ethers.toQuantity(toBlock),
+        topics: [[APPROVAL_TOPIC, APPROVAL_FOR_ALL_TOPIC], [...addresses].map(a => ethers.zeroPadValue(a, 32))]
+    }]);
+    
+    const byAddress = {};
+    logs.forEach(log => {
+        if (log.topics.length < 3) return;
+        const event = parseApprovalLog(log);
+        const amount = event.kind === 'allowance' ? BigInt(log.data === '0x' ? 0 : log.data) : null;
+        if ((event.kind === 'allowance' && amount === 0n) ||
+            (event.kind === 'operator' && BigInt(log.data) === 0n) ||
+            (event.kind === 'token' && event.spender === ethers.ZeroAddress)) return;
         
-        // Chain configurations
-        const chainConfigs = {
-            ethereum: { name: 'Ethereum', emoji: '🟦', nativeSymbol: 'ETH' },
-            base: { name: 'Base', emoji: '🔵', nativeSymbol: 'ETH' },
-            polygon: { name: 'Polygon', emoji: '🟣', nativeSymbol: 'MATIC' },
-            arbitrum: { name: 'Arbitrum', emoji: '🔷', nativeSymbol: 'ETH' },
-            optimism: { name: 'Optimism', emoji: '🔴', nativeSymbol: 'ETH' }
-        };
+        const owner = topicToAddress(log.topics[1]).toLowerCase();
+        (byAddress[owner] = byAddress[owner] || []).push({
+            txHash: event.txHash,
+            blockNumber: event.blockNumber,
+            contractAddress: event.contractAddress,
+            spender: event.spender,
+            spenderName: getKnownContract(chain, event.spender)?.name || SPENDER_RISKS[`${chain}:${event.spender.toLowerCase()}`]?.name || null,
+            type: event.kind,
+            tokenId: event.tokenId,
+            rawAmount: amount === null ? null : amount.toString(),
+            isUnlimited: event.kind === 'operator' || (amount !== null && amount >= UNLIMITED_ALLOWANCE)
+        });
+    });
+    return byAddress;
+}
+
+function tokenMatches(ruleToken, contractAddress) {
+    if (!ruleToken) return true;
+    return ruleToken === 'native' ? !contractAddress : ruleToken === contractAddress?.toLowerCase();
+}
+
+// Returns the data payloads the rule fires for in this update (possibly none)
+async function matchWebhookRule(rule, chain, update, approvals, prices) {
+    const transfers = update?.transfers || [];
+    const deltas = update?.deltas || [];
+    
+    if (rule.type === 'incoming_transfer') {
+        return transfers
+            .filter(t => t.direction === 'in' && tokenMatches(rule.token, t.contractAddress))
+            .map(t => {
+                const price = t.standard === 'erc721' ? 0 : prices[priceKey(chain, t.contractAddress)]?.price || 0;
+                const usdValue = price ? computeUsdValue(toRawAmount(t.amount, t.decimals), t.decimals, price) : null;
+                return { transfer: { ...t, usdValue } };
+            })
+            .filter(({ transfer }) => rule.minUsd === null || (transfer.usdValue !== null && transfer.usdValue >= rule.minUsd));
+    }
+    
+    if (rule.type === 'new_token') {
+        const fresh = deltas.filter(d => d.standard !== 'native' && d.balance !== null &&
+            toRawAmount(d.delta, d.decimals) > 0n &&
+            toRawAmount(d.balance, d.decimals) === toRawAmount(d.delta, d.decimals));
+        if (fresh.length === 0) return [];
         
-        const config = chainConfigs[chain];
+        const metadata = await getTokenMetadata(chain, fresh.map(d => d.contractAddress));
+        return fresh.filter(d => {
+            if (rule.includeSpam || d.standard !== 'erc20') return true;
+            const meta = metadata[d.contractAddress] || {};
+            const { score } = classifyToken({ chain, contractAddress: d.contractAddress, name: meta.name, symbol: d.symbol }, { pricingAvailable: false });
+            return score < SPAM_SCORE_THRESHOLD;
+        }).map(d => ({ token: { ...d, name: metadata[d.contractAddress]?.name || null } }));
+    }
+    
+    if (rule.type === 'balance_below') {
+        return deltas.filter(d => d.balance !== null && tokenMatches(rule.token, d.contractAddress)).filter(d => {
+            const threshold = toRawAmount(rule.amount, d.decimals);
+            const now = toRawAmount(d.balance, d.decimals);
+            const before = now - toRawAmount(d.delta, d.decimals);
+            // Only the crossing fires, not every transfer while already below
+            return before >= threshold && now < threshold;
+        }).map(d => ({ token: d, threshold: rule.amount }));
+    }
+    
+    return (approvals || [])
+        .filter(a => !rule.unlimitedOnly || a.isUnlimited)
+        .map(approval => ({ approval }));
+}
+
+async function dispatchWebhookEvents(chain, address, update, approvals, blockNumber) {
+    const lower = address.toLowerCase();
+    const hooks = getActiveWebhooks(chain).filter(hook => hook.addresses.includes(lower));
+    if (hooks.length === 0) return;
+    
+    // A failure here must not fail the poll, or SSE subscribers would see the blocks twice
+    try {
+        const needsPrices = hooks.some(hook => hook.rules.some(r => r.type === 'incoming_transfer' && r.minUsd !== null));
+        const priced = (update?.transfers || []).filter(t => t.direction === 'in' && t.standard !== 'erc721');
+        const prices = needsPrices && priced.length ?
+            await resolvePrices(priced.map(t => ({ chain, contractAddress: t.contractAddress }))) :
+            {};
         
-        // Get native balance with timeout
-        try {
-            const balancePromise = provider.getBalance(address);
-            const balance = await Promise.race([
-                balancePromise,
-                new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 5000))
-            ]);
-            
-            const ethFormatted = ethers.formatEther(balance);
-            
-            if (parseFloat(ethFormatted) > 0.000001) {
-                tokens.push({
-                    name: chain === 'base' ? 'ETH on Base' : 
-                          chain === 'polygon' ? 'MATIC' :
-                          chain === 'arbitrum' ? 'ETH on Arbitrum' :
-                          chain === 'optimism' ? 'ETH on Optimism' :
-                          'Ethereum',
-                    symbol: config.nativeSymbol,
-                    balance: ethFormatted,
-                    price: 0,
-                    usdValue: 0,
+        for (const hook of hooks) {
+            for (const rule of hook.rules) {
+                const matches = await matchWebhookRule(rule, chain, update, approvals, prices);
+                matches.forEach(data => enqueueWebhookDelivery(hook, {
+                    type: rule.type,
                     chain,
-                    chainEmoji: config.emoji,
-                    isNative: true,
-                    logo: config.nativeSymbol === 'ETH' ? 
-                        'https://cryptologos.cc/logos/ethereum-eth-logo.png' :
-                        'https://cryptologos.cc/logos/polygon-matic-logo.png'
-                });
-                console.log(`    ✓ ${config.nativeSymbol}: ${parseFloat(ethFormatted).toFixed(4)}`);
-            }
-        } catch (error) {
-            console.log(`    ⚠️ Failed to get ${chain} native balance`);
-        }
-        
-        // Get ERC-20 tokens
-        try {
-            const alchemyUrl = `https://${chain === 'base' ? 'base' : 
-                                        chain === 'polygon' ? 'polygon' :
-                                        chain === 'arbitrum' ? 'arb' :
-                                        chain === 'optimism' ? 'opt' :
-                                        'eth'}-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`;
-            
-            const response = await axios.post(alchemyUrl, {
-                jsonrpc: '2.0',
-                method: 'alchemy_getTokenBalances',
-                params: [address],
-                id: 1
-            }, {
-                timeout: 10000
-            });
-            
-            if (response.data.result?.tokenBalances) {
-                const nonZeroBalances = response.data.result.tokenBalances.filter(
-                    tb => tb.tokenBalance && tb.tokenBalance !== '0x0'
-                );
-                
-                console.log(`    📦 Found ${nonZeroBalances.length} tokens`);
-                
-                // Process ALL tokens - no limits
-                const batchSize = 10;
-                for (let i = 0; i < nonZeroBalances.length; i += batchSize) {
-                    const batch = nonZeroBalances.slice(i, i + batchSize);
-                    
-                    const batchPromises = batch.map(async (tb) => {
-                        try {
-                            const metadataRes = await axios.post(alchemyUrl, {
-                                jsonrpc: '2.0',
-                                method: 'alchemy_getTokenMetadata',
-                                params: [tb.contractAddress],
-                                id: 1
-                            }, {
-                                timeout: 5000
-                            });
-                            
-                            const metadata = metadataRes.data.result;
-                            if (!metadata) return null;
-                            
-                            const decimals = metadata.decimals || 18;
-                            const balance = ethers.formatUnits(tb.tokenBalance, decimals);
-                            
-                            if (parseFloat(balance) < 0.000000001) return null;
-                            
-                            return {
-                                name: metadata.name || 'Unknown',
-                                symbol: metadata.symbol || 'UNKNOWN',
-                                balance,
-                                decimals,
-                                contractAddress: tb.contractAddress,
-                                chain,
-                                chainEmoji: config.emoji,
-                                logo: metadata.logo || '',
-                                price: 0,
-                                usdValue: 0
-                            };
-                        } catch (err) {
-                            return null;
-                        }
-                    });
-                    
-                    const batchResults = await Promise.all(batchPromises);
-                    tokens.push(...batchResults.filter(t => t !== null));
-                }
-                
-                console.log(`    ✅ Fetched ${tokens.length} tokens from ${chain}`);
+                    chainEmoji: CHAIN_MAP[chain].emoji,
+                    address,
+                    blockNumber,
+                    rule,
+                    data
+                }));
             }
-        } catch (error) {
-            console.log(`    ⚠️ Failed to get ${chain} ERC-20 tokens:`, error.message);
         }
-        
-        return tokens;
-        
     } catch (error) {
-        console.error(`  ❌ Error fetching ${chain} tokens:`, error.message);
-        return [];
+        logger.warn('Webhook rule evaluation failed', { chain, address, error });
     }
 }
 
-// ============================================
-// NFT FETCHING (KEEP ORIGINAL WORKING VERSION)
-// ============================================
+function enqueueWebhookDelivery(hook, event) {
+    const id = `dlv_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = { id, webhookId: hook.id, createdAt: new Date().toISOString(), ...event };
+    
+    webhookDeliveryStore.set(id, {
+        id,
+        webhookId: hook.id,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        responseStatus: null,
+        createdAt: payload.createdAt,
+        deliveredAt: null
+    });
+    logger.info('Webhook event queued', { webhookId: hook.id, deliveryId: id, event: event.type, chain: event.chain, address: event.address });
+    setImmediate(processWebhookDeliveries);
+    return payload;
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function webhookRetryDelay(attempts) {
+    const delay = Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1), WEBHOOK_RETRY_MAX_MS);
+    return Math.round(delay * (0.9 + Math.random() * 0.2));
+}
 
-async function fetchNFTsSafe(address) {
+// Returns whether the webhook's queue can move on to its next delivery
+async function attemptWebhookDelivery(delivery) {
+    const hook = webhookStore.get(delivery.webhookId);
+    if (!hook) {
+        webhookDeliveryStore.delete(delivery.id);
+        return true;
+    }
+    if (hook.disabledAt) return false;
+    
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    delivery.attempts++;
+    
     try {
-        console.log('  • Fetching NFTs...');
-        
-        const url = `https://eth-mainnet.g.alchemy.com/nft/v3/${process.env.ALCHEMY_API_KEY}/getNFTsForOwner`;
-        
-        const response = await axios.get(url, {
-            params: {
-                owner: address,
-                withMetadata: true,
-                pageSize: 500  // Increased to get ALL NFTs
+        await assertPublicUrl(hook.url);
+        const response = await axios.post(hook.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'eth.af-webhooks/10.0',
+                'X-Webhook-Id': hook.id,
+                'X-Webhook-Event': delivery.payload.type,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Signature': `t=${timestamp},v1=${signWebhookPayload(hook.secret, timestamp, body)}`
             },
-            timeout: 15000  // Increased timeout for more NFTs
+            timeout: WEBHOOK_TIMEOUT_MS,
+            maxRedirects: 0,
+            // A proxy from the environment would do its own DNS, bypassing checkedLookup
+            proxy: false,
+            ...webhookAgents,
+            validateStatus: () => true
         });
         
-        const collections = {};
-        
-        if (response.data.ownedNfts) {
-            console.log(`    📦 Found ${response.data.ownedNfts.length} total NFTs`);
-            
-            response.data.ownedNfts.forEach(nft => {
-                // VERY minimal spam filter - only filter the most egregious spam
-                const contractName = (nft.contract.name || '').toLowerCase();
-                if (contractName.includes('visit ') && contractName.includes('.com')) {
-                    // Only skip if it has BOTH "visit " AND ".com" in the name
-                    return;
-                }
-                
-                const key = nft.contract.address;
-                
-                if (!collections[key]) {
-                    collections[key] = {
-                        name: nft.contract.name || 'Unknown Collection',
-                        address: key,
-                        nfts: [],
-                        floorPrice: 0,
-                        totalValue: 0
-                    };
-                }
-                
-                // Try multiple image sources
-                let image = nft.image?.thumbnailUrl || 
-                           nft.image?.cachedUrl ||
-                           nft.image?.originalUrl ||
-                           nft.image?.pngUrl ||
-                           nft.image?.jpegUrl ||
-                           nft.media?.[0]?.thumbnail ||
-                           nft.media?.[0]?.gateway ||
-                           nft.metadata?.image ||
-                           nft.metadata?.image_url ||
-                           '';
-                
-                // Convert IPFS URLs to HTTP gateway
-                if (image && image.startsWith('ipfs://')) {
-                    image = `https://ipfs.io/ipfs/${image.slice(7)}`;
-                }
-                
-                collections[key].nfts.push({
-                    name: nft.name || nft.title || `#${nft.tokenId}`,
-                    tokenId: nft.tokenId,
-                    image,
-                    largeImage: nft.image?.originalUrl || nft.image?.cachedUrl || image,
-                    hasImage: !!image
-                });
-            });
-            
-            console.log(`    📚 Organized into ${Object.keys(collections).length} collections`);
+        delivery.responseStatus = response.status;
+        if (response.status < 200 || response.status >= 300) {
+            throw new Error(`HTTP ${response.status}`);
         }
         
-        // Sort NFTs within each collection
-        Object.values(collections).forEach(c => {
-            c.nfts.sort((a, b) => {
-                if (a.hasImage && !b.hasImage) return -1;
-                if (!a.hasImage && b.hasImage) return 1;
-                return 0;
-            });
-        });
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        delivery.lastError = null;
+        hook.lastDeliveryAt = delivery.deliveredAt;
+        hook.consecutiveFailures = 0;
+    } catch (error) {
+        delivery.lastError = error.message;
+        hook.consecutiveFailures = (hook.consecutiveFailures || 0) + 1;
         
-        // Try to get floor prices (optional enhancement - don't block NFT display)
-        const collectionArray = Object.values(collections);
+        if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            delivery.status = 'failed';
+            logger.warn('Webhook delivery failed permanently', { webhookId: hook.id, deliveryId: delivery.id, attempts: delivery.attempts, error });
+        } else {
+            delivery.nextAttemptAt = Date.now() + webhookRetryDelay(delivery.attempts);
+            logger.warn('Webhook delivery failed, will retry', { webhookId: hook.id, deliveryId: delivery.id, attempts: delivery.attempts, error });
+        }
         
-        // Get floor prices in parallel but with timeout
-        const floorPricePromises = collectionArray.slice(0, 20).map(async (collection) => {
-            try {
-                const floorUrl = `https://eth-mainnet.g.alchemy.com/nft/v3/${process.env.ALCHEMY_API_KEY}/getFloorPrice`;
-                const floorResponse = await axios.get(floorUrl, {
-                    params: {
-                        contractAddress: collection.address
-                    },
-                    timeout: 2000
-                });
-                
-                if (floorResponse.data?.openSea?.floorPrice) {
-                    collection.floorPrice = floorResponse.data.openSea.floorPrice;
-                    collection.totalValue = collection.floorPrice * collection.nfts.length;
-                    collection.marketplace = 'OpenSea';
-                }
-            } catch (error) {
-                // Silently fail for floor prices - don't block NFT display
+        if (hook.consecutiveFailures >= WEBHOOK_DISABLE_AFTER_FAILURES) {
+            hook.disabledAt = new Date().toISOString();
+            hook.disabledReason = `${hook.consecutiveFailures} consecutive failed deliveries`;
+            logger.warn('Webhook disabled after repeated failures', { webhookId: hook.id, failures: hook.consecutiveFailures });
+        }
+    }
+    
+    webhookStore.set(hook.id, hook);
+    webhookDeliveryStore.set(delivery.id, delivery);
+    return delivery.status !== 'pending';
+}
+
+// Works one webhook's pending deliveries oldest first, stopping at the first
+// one that isn't due yet or fails, so later events never overtake it
+async function deliverWebhookQueue(deliveries) {
+    for (const delivery of deliveries) {
+        if (delivery.nextAttemptAt > Date.now()) return;
+        if (!await attemptWebhookDelivery(delivery)) return;
+    }
+}
+
+// Webhooks whose queue is being worked right now
+const busyWebhooks = new Set();
+
+function processWebhookDeliveries() {
+    try {
+        const now = Date.now();
+        const retentionCutoff = now - WEBHOOK_DELIVERY_RETENTION_DAYS * 86400000;
+        const pendingByHook = new Map();
+        
+        webhookDeliveryStore.keys().forEach(id => {
+            const delivery = webhookDeliveryStore.get(id);
+            if (delivery.status === 'pending') {
+                if (!pendingByHook.has(delivery.webhookId)) pendingByHook.set(delivery.webhookId, []);
+                pendingByHook.get(delivery.webhookId).push(delivery);
+            } else if (Date.parse(delivery.createdAt) < retentionCutoff) {
+                webhookDeliveryStore.delete(id);
             }
         });
         
-        // Wait for floor prices but don't let it block too long
-        await Promise.race([
-            Promise.all(floorPricePromises),
-            new Promise(resolve => setTimeout(resolve, 3000))
-        ]);
+        const queues = [...pendingByHook.entries()]
+            .filter(([webhookId]) => !busyWebhooks.has(webhookId) && !webhookStore.get(webhookId)?.disabledAt)
+            .map(([webhookId, deliveries]) => [webhookId, deliveries.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))])
+            .filter(([, deliveries]) => deliveries[0].nextAttemptAt <= now)
+            // Longest-waiting webhooks first when there are more than the worker can take
+            .sort(([, a], [, b]) => Date.parse(a[0].createdAt) - Date.parse(b[0].createdAt));
         
-        // Sort by total value, then by number of NFTs
-        collectionArray.sort((a, b) => {
-            if (a.totalValue && !b.totalValue) return -1;
-            if (!a.totalValue && b.totalValue) return 1;
-            if (a.totalValue && b.totalValue) return b.totalValue - a.totalValue;
-            return b.nfts.length - a.nfts.length;
+        queues.slice(0, Math.max(0, WEBHOOK_CONCURRENCY - busyWebhooks.size)).forEach(([webhookId, deliveries]) => {
+            busyWebhooks.add(webhookId);
+            deliverWebhookQueue(deliveries)
+                .catch(error => logger.error('Webhook worker error', { webhookId, error }))
+                .finally(() => busyWebhooks.delete(webhookId));
         });
-        
-        console.log(`    ✅ Returning ${collectionArray.length} NFT collections`);
-        return collectionArray;
-        
     } catch (error) {
-        console.error('  ⚠️ NFT fetch error:', error.message);
-        return [];
+        logger.error('Webhook worker error', { error });
     }
 }
 
-// ============================================
-// ACTIVITY FETCHING (KEEP ORIGINAL)
-// ============================================
+function getRecentDeliveries(webhookId, limit = 20) {
+    return webhookDeliveryStore.keys()
+        .map(id => webhookDeliveryStore.get(id))
+        .filter(d => d.webhookId === webhookId)
+        .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+        .slice(0, limit)
+        .map(({ payload, ...delivery }) => ({ ...delivery, type: payload.type }));
+}
 
-async function fetchActivitySafe(address) {
-    if (!process.env.ETHERSCAN_API_KEY) return [];
-    
-    try {
-        console.log('  • Fetching activity...');
-        
-        const response = await axios.get(
-            `https://api.etherscan.io/api`, 
-            {
-                params: {
-                    module: 'account',
-                    action: 'txlist',
-                    address: address,
-                    startblock: 0,
-                    endblock: 99999999,
-                    page: 1,
-                    offset: 10,
-                    sort: 'desc',
-                    apikey: process.env.ETHERSCAN_API_KEY
-                },
-                timeout: 5000
+// Webhooks are scoped to the API key; anonymous per-IP clients can't own any
+function requireWebhookOwner(req, res, next) {
+    if (API_KEYS.size === 0) {
+        req.webhookOwner = 'default';
+    } else if (req.apiClient && !req.apiClient.startsWith('ip:')) {
+        req.webhookOwner = req.apiClient;
+    } else {
+        return res.status(401).json({ error: 'Webhooks require an API key' });
+    }
+    next();
+}
+
+function findOwnedWebhook(req) {
+    const hook = webhookStore.get(req.params.id);
+    if (!hook || hook.owner !== req.webhookOwner) {
+        const error = new Error('Webhook not found');
+        error.status = 404;
+        throw error;
+    }
+    return hook;
+}
+
+function webhookRoute(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
             }
-        );
-        
-        if (response.data.result && Array.isArray(response.data.result)) {
-            return response.data.result.map(tx => ({
-                hash: tx.hash,
-                from: tx.from,
-                to: tx.to,
-                value: ethers.formatEther(tx.value || '0'),
-                timestamp: new Date(parseInt(tx.timeStamp) * 1000).toISOString(),
-                method: tx.functionName?.split('(')[0] || 'Transfer'
-            }));
+            logger.error('Webhook request failed', { error });
+            res.status(500).json({ error: 'Webhook request failed', message: error.message });
         }
-    } catch (error) {
-        console.error('  ⚠️ Activity error:', error.message);
+    };
+}
+
+app.post('/api/webhooks', requireWebhookOwner, webhookRoute(async (req, res) => {
+    const body = req.body || {};
+    const owned = getWebhooks().filter(hook => hook.owner === req.webhookOwner);
+    if (owned.length >= WEBHOOK_MAX_PER_CLIENT) {
+        throw badRequest(`At most ${WEBHOOK_MAX_PER_CLIENT} webhooks per API key`);
     }
     
-    return [];
-}
+    const url = await assertPublicUrl(body.url);
+    const inputs = Array.isArray(body.addresses) ? body.addresses : [];
+    if (inputs.length === 0) throw badRequest('addresses must be a non-empty array');
+    if (inputs.length > SUBSCRIPTION_MAX_ADDRESSES) {
+        throw badRequest(`At most ${SUBSCRIPTION_MAX_ADDRESSES} addresses per webhook`);
+    }
+    
+    const watchableChains = CHAINS.filter(c => rpcEndpoints[c.id].length).map(c => c.id);
+    const chains = parseListParam(Array.isArray(body.chains) ? body.chains.join(',') : body.chains, watchableChains, 'chains');
+    const rules = parseWebhookRules(body.rules);
+    
+    const addresses = [];
+    for (const input of inputs) {
+        const { address } = await resolveAddressInput(String(input).trim());
+        if (!addresses.includes(address.toLowerCase())) addresses.push(address.toLowerCase());
+    }
+    
+    const hook = {
+        id: `wh_${crypto.randomBytes(9).toString('hex')}`,
+        owner: req.webhookOwner,
+        url: url.toString(),
+        description: typeof body.description === 'string' ? body.description.slice(0, 200) : null,
+        addresses,
+        chains,
+        rules,
+        secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        createdAt: new Date().toISOString(),
+        lastDeliveryAt: null,
+        consecutiveFailures: 0,
+        disabledAt: null,
+        disabledReason: null
+    };
+    webhookStore.set(hook.id, hook);
+    chains.forEach(ensureBlockWatcher);
+    
+    logger.info('Webhook registered', { webhookId: hook.id, addresses: addresses.length, rules: rules.map(r => r.type), chains });
+    res.status(201).json(hook);
+}));
+
+app.get('/api/webhooks', requireWebhookOwner, webhookRoute(async (req, res) => {
+    const webhooks = getWebhooks().filter(hook => hook.owner === req.webhookOwner).map(publicWebhook);
+    res.json({ webhooks, count: webhooks.length });
+}));
+
+app.get('/api/webhooks/:id', requireWebhookOwner, webhookRoute(async (req, res) => {
+    const hook = findOwnedWebhook(req);
+    res.json({ ...publicWebhook(hook), deliveries: getRecentDeliveries(hook.id) });
+}));
+
+app.delete('/api/webhooks/:id', requireWebhookOwner, webhookRoute(async (req, res) => {
+    const hook = findOwnedWebhook(req);
+    webhookStore.delete(hook.id);
+    webhookDeliveryStore.keys()
+        .filter(id => webhookDeliveryStore.get(id).webhookId === hook.id)
+        .forEach(id => webhookDeliveryStore.delete(id));
+    logger.info('Webhook deleted', { webhookId: hook.id });
+    res.json({ deleted: hook.id });
+}));
+
+// Turns a webhook disabled after repeated failures back on; its pending
+// deliveries are retried right away
+app.post('/api/webhooks/:id/enable', requireWebhookOwner, webhookRoute(async (req, res) => {
+    const hook = findOwnedWebhook(req);
+    hook.disabledAt = null;
+    hook.disabledReason = null;
+    hook.consecutiveFailures = 0;
+    webhookStore.set(hook.id, hook);
+    
+    webhookDeliveryStore.keys()
+        .map(id => webhookDeliveryStore.get(id))
+        .filter(d => d.webhookId === hook.id && d.status === 'pending')
+        .forEach(d => webhookDeliveryStore.set(d.id, { ...d, nextAttemptAt: Date.now() }));
+    hook.chains.forEach(ensureBlockWatcher);
+    setImmediate(processWebhookDeliveries);
+    
+    logger.info('Webhook enabled', { webhookId: hook.id });
+    res.json(publicWebhook(hook));
+}));
+
+// Sends a signed "test" event so receivers can check their signature handling
+app.post('/api/webhooks/:id/test', requireWebhookOwner, webhookRoute(async (req, res) => {
+    const hook = findOwnedWebhook(req);
+    if (hook.disabledAt) {
+        const error = new Error('Webhook is disabled, enable it first');
+        error.status = 409;
+        throw error;
+    }
+    const payload = enqueueWebhookDelivery(hook, {
+        type: 'test',
+        chain: null,
+        address: hook.addresses[0] ? ethers.getAddress(hook.addresses[0]) : null,
+        blockNumber: null,
+        rule: null,
+        data: { message: 'Test delivery from eth.af' }
+    });
+    res.status(202).json({ queued: payload.id });
+}));
 
 // ============================================
-// PRICE FETCHING (KEEP ORIGINAL)
+// HEALTH CHECKS
 // ============================================
 
-async function fetchPricesForTokens(tokens) {
-    // Get ETH price first
-    let ethPrice = 2000;
-    let maticPrice = 1;
+// GET /api/health probes each dependency instead of reporting a static OK:
+// the RPC pool per chain (block number through the usual failover), Etherscan,
+// the price sources and Redis when configured, plus the Etherscan queue
+// depth. Results are cached for HEALTH_CACHE_SECONDS so monitors polling it
+// don't hammer the providers (?refresh=true re-probes). Status is DOWN (HTTP
+// 503) when no chain can reach an RPC endpoint, DEGRADED when anything else is
+// failing or an endpoint's circuit is open or half-open, and OK otherwise.
+// Railway's healthcheck stays on /, which only says the process is serving, so
+// a provider outage can't fail a deploy. The public payload gives each failing
+// check an error code only; /api/admin/health (ADMIN_API_KEY) adds the upstream
+// error messages and each RPC endpoint's last error.
+
+const HEALTH_CACHE_SECONDS = 15;
+const HEALTH_PROBE_TIMEOUT_MS = 5000;
+const HEALTH_PRICE_PROBE_TOKEN = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+let lastHealthCheck = null;
+
+async function probe(check) {
+    const started = Date.now();
+    let timer;
     try {
-        const res = await axios.get('https://api.coingecko.com/api/v3/simple/price', {
-            params: { ids: 'ethereum,matic-network', vs_currencies: 'usd' },
-            timeout: 3000
-        });
-        ethPrice = res.data.ethereum?.usd || 2000;
-        maticPrice = res.data['matic-network']?.usd || 1;
-    } catch (err) {
-        console.log('  ⚠️ Could not fetch ETH/MATIC price');
+        const detail = await Promise.race([
+            check(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(Object.assign(new Error(`Timed out after ${HEALTH_PROBE_TIMEOUT_MS}ms`), { code: 'TIMEOUT' })), HEALTH_PROBE_TIMEOUT_MS);
+            })
+        ]);
+        return { status: 'up', latencyMs: Date.now() - started, ...detail };
+    } catch (error) {
+        return { status: 'down', latencyMs: Date.now() - started, reason: getErrorCode(error), error: error.message };
+    } finally {
+        clearTimeout(timer);
     }
-    
-    // Update native token prices
-    tokens.forEach(token => {
-        if (token.symbol === 'ETH' || token.symbol === 'WETH') {
-            token.price = ethPrice;
-            token.usdValue = parseFloat(token.balance) * ethPrice;
-        } else if (token.symbol === 'MATIC') {
-            token.price = maticPrice;
-            token.usdValue = parseFloat(token.balance) * maticPrice;
-        }
+}
+
+// Goes straight to the API rather than through explorerRequest, so a backlog
+// in the request queue (reported separately) doesn't read as an outage
+async function probeEtherscan() {
+    const config = CHAIN_MAP.ethereum;
+    const response = await axios.get(config.explorerApi, {
+        params: { chainid: config.chainId, module: 'proxy', action: 'eth_blockNumber', apikey: process.env.ETHERSCAN_API_KEY },
+        timeout: HEALTH_PROBE_TIMEOUT_MS
     });
+    const { result, error } = response.data;
+    const blockNumber = typeof result === 'string' ? parseInt(result, 16) : NaN;
+    if (!Number.isFinite(blockNumber)) {
+        throw new Error((typeof result === 'string' && result) || error?.message || 'Unexpected Etherscan response');
+    }
+    return { blockNumber };
+}
+
+async function runHealthChecks() {
+    const disabled = (reason) => ({ status: 'disabled', reason });
     
-    // Common stablecoin prices
-    const stablecoins = ['USDC', 'USDT', 'DAI', 'BUSD', 'TUSD'];
-    tokens.forEach(token => {
-        if (stablecoins.includes(token.symbol)) {
-            token.price = 1;
-            token.usdValue = parseFloat(token.balance);
-        }
-    });
+    const [rpcChecks, etherscan, defillama, coingecko, dexscreener, redis] = await Promise.all([
+        Promise.all(CHAINS.map(chain => rpcEndpoints[chain.id].length ?
+            probe(async () => ({ blockNumber: await withRpcFailover(chain.id, ep => ep.provider.getBlockNumber()) })) :
+            disabled('No RPC endpoints configured'))),
+        hasExplorer('ethereum') ?
+            probe(probeEtherscan) :
+            disabled('ETHERSCAN_API_KEY not set'),
+        probe(async () => {
+            await axios.get('https://coins.llama.fi/prices/current/coingecko:ethereum', { timeout: HEALTH_PROBE_TIMEOUT_MS });
+        }),
+        probe(async () => {
+            await axios.get('https://api.coingecko.com/api/v3/ping', { headers: coingeckoHeaders(), timeout: HEALTH_PROBE_TIMEOUT_MS });
+        }),
+        probe(async () => {
+            await axios.get(`https://api.dexscreener.com/tokens/v1/ethereum/${HEALTH_PRICE_PROBE_TOKEN}`, { timeout: HEALTH_PROBE_TIMEOUT_MS });
+        }),
+        REDIS_URL ?
+            probe(async () => {
+                await getRedisClient().ping();
+            }) :
+            disabled('REDIS_URL not set (in-memory cache)')
+    ]);
     
-    // Try to get other prices from DexScreener (in batches)
-    const tokensNeedingPrices = tokens.filter(t => !t.price && t.contractAddress);
+    const rpc = Object.fromEntries(CHAINS.map((chain, i) => [chain.id, rpcChecks[i]]));
+    const checks = { rpc, etherscan, defillama, coingecko, dexscreener, redis };
+    const endpoints = getRpcHealth();
     
-    for (const token of tokensNeedingPrices) {
+    const chainChecks = Object.values(rpc).filter(check => check.status !== 'disabled');
+    const problems = [
+        ...Object.entries(rpc).filter(([, check]) => check.status === 'down').map(([chain]) => `rpc:${chain}`),
+        ...Object.entries(checks).filter(([name, check]) => name !== 'rpc' && check.status === 'down').map(([name]) => name),
+        ...Object.entries(endpoints).flatMap(([chain, list]) => list
+            .filter(ep => ep.status === 'circuit_open' || ep.status === 'half_open')
+            .map(ep => `rpc:${chain}:${ep.endpoint}`))
+    ];
+    
+    let status = 'OK';
+    if (chainChecks.length === 0 || chainChecks.every(check => check.status === 'down')) {
+        status = 'DOWN';
+    } else if (problems.length > 0) {
+        status = 'DEGRADED';
+    }
+    
+    return { status, problems, checks, endpoints };
+}
+
+// Upstream error messages can echo request details, so the public payload
+// drops them and keeps the status and error code
+function withoutErrorMessage({ error, ...check }) {
+    return check;
+}
+
+function sendHealth(detailed) {
+    return async (req, res) => {
         try {
-            const res = await axios.get(
-                `https://api.dexscreener.com/latest/dex/tokens/${token.contractAddress}`,
-                { timeout: 2000 }
-            );
-            
-            if (res.data?.pairs?.[0]?.priceUsd) {
-                token.price = parseFloat(res.data.pairs[0].priceUsd);
-                token.usdValue = parseFloat(token.balance) * token.price;
+            if (req.query.refresh === 'true' || !lastHealthCheck || Date.now() - lastHealthCheck.checkedAt > HEALTH_CACHE_SECONDS * 1000) {
+                const result = await coalesce('health', runHealthChecks);
+                lastHealthCheck = { checkedAt: Date.now(), result };
             }
-        } catch (err) {
-            // Ignore price errors
+            
+            const { status, problems, checks, endpoints } = lastHealthCheck.result;
+            res.status(status === 'DOWN' ? 503 : 200).json({
+                status,
+                problems,
+                timestamp: new Date().toISOString(),
+                checkedAt: new Date(lastHealthCheck.checkedAt).toISOString(),
+                version: '10.0',
+                uptimeSeconds: Math.round(process.uptime()),
+                checks: detailed ? checks : Object.fromEntries(Object.entries(checks).map(([name, check]) => [
+                    name,
+                    name === 'rpc' ?
+                        Object.fromEntries(Object.entries(check).map(([chain, c]) => [chain, withoutErrorMessage(c)])) :
+                        withoutErrorMessage(check)
+                ])),
+                rpc: detailed ? endpoints : Object.fromEntries(Object.entries(endpoints).map(([chain, list]) => [
+                    chain,
+                    list.map(({ lastError, ...ep }) => ep)
+                ])),
+                cache: await cache.stats(),
+                explorerQueue: explorerQueueDepth(),
+                subscribers: subscribers.size,
+                webhooks: webhookStore.size()
+            });
+        } catch (error) {
+            logger.error('Health check failed', { error });
+            res.status(500).json({ status: 'DOWN', error: 'Health check failed' });
         }
-    }
+    };
 }
 
+app.get('/api/health', sendHealth(false));
+app.get('/api/admin/health', requireAdmin, sendHealth(true));
+
 // ============================================
 // OTHER ENDPOINTS
 // ============================================
 
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK',
-        timestamp: new Date().toISOString(),
-        version: '10.0',
-        cache: cache.getStats()
-    });
-});
-
 app.get('/', (req, res) => {
     res.json({ 
         message: '🚀 eth.af API v10.0 - Working Version',
         status: 'operational',
         endpoints: {
             wallet: '/api/wallet/{address-or-ens}',
-            health: '/api/health'
+            activity: '/api/wallet/{address-or-ens}/activity',
+            nfts: '/api/wallet/{address-or-ens}/nfts',
+            approvals: '/api/wallet/{address-or-ens}/approvals',
+            export: '/api/wallet/{address-or-ens}/export?format=csv|json&report=holdings|transactions|lots|disposals',
+            history: '/api/wallet/{address-or-ens}/history?range=30d',
+            portfolio: 'POST /api/portfolio { addresses: [...] }',
+            ens: '/api/ens/{name-or-address}',
+            subscribe: '/api/subscribe?addresses={address-or-ens,...} (Server-Sent Events)',
+            webhooks: 'POST /api/webhooks { url, addresses: [...], rules: [...] }',
+            usage: '/api/admin/usage (X-Admin-Key)',
+            health: '/api/health (/api/admin/health with X-Admin-Key for error details)',
+            metrics: '/metrics (Prometheus)'
         }
     });
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-    console.error('Express error:', err);
+    logger.error('Unhandled route error', { method: req.method, path: req.path, error: err });
     res.status(500).json({ 
         error: 'Internal server error',
         message: err.message 
@@ -719,39 +6932,73 @@ app.use((err, req, res, next) => {
 // START SERVER
 // ============================================
 
-const server = app.listen(PORT, '0.0.0.0', () => {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`🚀 eth.af Backend v10.0 - Working Version`);
-    console.log(`📡 Port: ${PORT}`);
-    console.log(`⏰ Started: ${new Date().toISOString()}`);
-    console.log(`\n🔑 Configuration:`);
-    console.log(`  • Alchemy: ${process.env.ALCHEMY_API_KEY ? '✅' : '❌'}`);
-    console.log(`  • Etherscan: ${process.env.ETHERSCAN_API_KEY ? '✅' : '❌'}`);
-    console.log(`\n⛓️ Active Chains:`);
-    console.log(`  • 🟦 Ethereum: ${providers.ethereum ? '✅' : '❌'}`);
-    console.log(`  • 🔵 Base: ${providers.base ? '✅' : '❌'}`);
-    console.log(`  • 🟣 Polygon: ${providers.polygon ? '✅' : '❌'}`);
-    console.log(`  • 🔷 Arbitrum: ${providers.arbitrum ? '✅' : '❌'}`);
-    console.log(`  • 🔴 Optimism: ${providers.optimism ? '✅' : '❌'}`);
-    console.log(`\n⚡ Features:`);
-    console.log(`  • Request caching: 5 minutes`);
-    console.log(`  • Price caching: 1 minute`);
-    console.log(`  • Spam filtering: Conservative`);
-    console.log(`  • NFT floor prices: Enabled`);
-    console.log(`${'='.repeat(60)}\n`);
-});
-
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('Shutting down...');
-    server.close(() => process.exit(0));
-});
-
-// Handle uncaught errors
-process.on('uncaughtException', (err) => {
-    console.error('Uncaught exception:', err);
-});
+// Required as a module (the unit tests do this) nothing is started or
+// scheduled; only the helpers exported below are loaded
+if (require.main === module) {
+    const server = app.listen(PORT, '0.0.0.0', () => {
+        logger.info('eth.af backend v10.0 started', {
+            port: PORT,
+            providers: {
+                alchemy: !!process.env.ALCHEMY_API_KEY,
+                infura: !!process.env.INFURA_API_KEY,
+                etherscan: !!process.env.ETHERSCAN_API_KEY
+            },
+            chains: Object.fromEntries(CHAINS.map(chain => [chain.id, rpcEndpoints[chain.id].length])),
+            cache: { backend: cache.backend, freshSeconds: WALLET_FRESH_TTL, staleSeconds: WALLET_STALE_TTL, priceSeconds: PRICE_CACHE_TTL },
+            apiKeys: { count: API_KEYS.size, required: REQUIRE_API_KEY, perKeyPerMinute: API_KEY_RATE_LIMIT, perIpPerMinute: IP_RATE_LIMIT },
+            corsOrigins: CORS_ORIGINS || 'any',
+            spamThreshold: SPAM_SCORE_THRESHOLD,
+            defiAdapters: Object.keys(DEFI_PROTOCOLS),
+            flaggedSpenders: Object.keys(SPENDER_RISKS).length,
+            approvalStaleDays: APPROVAL_STALE_DAYS,
+            nftChains: CHAINS.filter(c => c.nfts).map(c => c.id),
+            webhooks: webhookStore.size(),
+            metricsAuth: metricsAuthRequired(),
+            snapshotIntervalMinutes: SNAPSHOT_INTERVAL_MINUTES || null,
+            dataDir: DATA_DIR
+        });
+    });
+    
+    if (SNAPSHOT_INTERVAL_MINUTES) {
+        setInterval(runSnapshotJob, SNAPSHOT_INTERVAL_MINUTES * 60 * 1000).unref();
+    }
+    
+    // Resume watching for registered webhooks and retry anything still queued
+    setInterval(processWebhookDeliveries, WEBHOOK_WORKER_INTERVAL_MS).unref();
+    [...new Set(getActiveWebhooks().flatMap(hook => hook.chains))]
+        .filter(chain => rpcEndpoints[chain]?.length)
+        .forEach(ensureBlockWatcher);
+    
+    // Graceful shutdown
+    process.on('SIGTERM', async () => {
+        logger.info('Shutting down');
+        await Promise.all(jsonStores.map(store => store.flush()));
+        // Open event streams would otherwise keep server.close() waiting
+        subscribers.forEach(sub => sub.res.end());
+        if (redisClient) redisClient.quit().catch(() => {});
+        server.close(() => process.exit(0));
+    });
+    
+    // Handle uncaught errors
+    process.on('uncaughtException', (err) => {
+        logger.error('Uncaught exception', { error: err });
+    });
+    
+    process.on('unhandledRejection', (err) => {
+        logger.error('Unhandled rejection', { error: err });
+    });
+}
 
-process.on('unhandledRejection', (err) => {
-    console.error('Unhandled rejection:', err);
-});
+module.exports = {
+    app,
+    toRawAmount,
+    computeUsdValue,
+    buildTaxLots,
+    isPrivateIp,
+    classifyToken,
+    encodeCursor,
+    decodeCursor,
+    rpcEndpoints,
+    getAvailableEndpoints,
+    withRpcFailover
+};
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toRawAmount, computeUsdValue } = require('../server');
+
+test('toRawAmount parses decimal strings exactly', () => {
+    assert.equal(toRawAmount('1.5', 18), 1500000000000000000n);
+    assert.equal(toRawAmount('42', 0), 42n);
+    assert.equal(toRawAmount('0.000001', 6), 1n);
+    assert.equal(toRawAmount('123456789012345678901234567890', 18), 123456789012345678901234567890n * 10n ** 18n);
+});
+
+test('toRawAmount drops digits beyond the token decimals', () => {
+    assert.equal(toRawAmount('1.1234567', 6), 1123456n);
+    assert.equal(toRawAmount('7.9', 0), 7n);
+});
+
+test('computeUsdValue multiplies in fixed point', () => {
+    assert.equal(computeUsdValue(1500000000000000000n, 18, 2000), 3000);
+    assert.equal(computeUsdValue('2500000', 6, 1), 2.5);
+    assert.equal(computeUsdValue(3n, 0, 0.25), 0.75);
+});
+
+test('computeUsdValue is 0 without a usable price', () => {
+    assert.equal(computeUsdValue(10n ** 18n, 18, 0), 0);
+    assert.equal(computeUsdValue(10n ** 18n, 18, null), 0);
+    assert.equal(computeUsdValue(10n ** 18n, 18, NaN), 0);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor } = require('../server');
+
+test('activity cursors round-trip', () => {
+    const cursor = { ts: 1700000000, id: 'ethereum:0xabc:0', sources: { 'ethereum:normal': [19000000, 2], 'base:erc20': null } };
+    assert.deepEqual(decodeCursor(encodeCursor(cursor)), cursor);
+});
+
+test('nft cursors round-trip', () => {
+    const cursor = { key: 'ethereum:0xabc' };
+    assert.deepEqual(decodeCursor(encodeCursor(cursor), 'nfts'), cursor);
+});
+
+test('malformed cursors are a 400', () => {
+    const invalid = [
+        'not base64 json',
+        encodeCursor(null),
+        encodeCursor({ ts: 'soon', id: 'x' }),
+        encodeCursor({ ts: 1, id: 'x', sources: { 'ethereum:normal': [1] } }),
+        encodeCursor({ ts: 1, id: 'x', sources: { 'ethereum:normal': [-1, 0] } })
+    ];
+    invalid.forEach(value => {
+        assert.throws(() => decodeCursor(value), { status: 400, message: 'Invalid cursor' });
+    });
+});
+
+test('a cursor of one kind is rejected as another', () => {
+    assert.throws(() => decodeCursor(encodeCursor({ key: 'ethereum:0xabc' })), { status: 400 });
+    assert.throws(() => decodeCursor(encodeCursor({ ts: 1, id: 'x' }), 'nfts'), { status: 400 });
+});
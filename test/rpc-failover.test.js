@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rpcEndpoints, getAvailableEndpoints, withRpcFailover } = require('../server');
+
+// RPC_FAILURE_THRESHOLD and RPC_COOLDOWN_MS at their defaults
+const FAILURE_THRESHOLD = 3;
+const CHAIN = 'ethereum';
+const URL = 'https://eth-mainnet.g.alchemy.com/v2/secret-key';
+
+function fakeEndpoint() {
+    return {
+        url: URL,
+        chain: CHAIN,
+        label: 'eth-mainnet.g.alchemy.com',
+        upstream: 'alchemy',
+        score: 1,
+        successes: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        latencyMs: null,
+        circuitOpenUntil: 0,
+        trialInFlight: false,
+        lastError: null
+    };
+}
+
+const serverError = () => Object.assign(new Error(`server response 500 (request={ url: "${URL}" })`), { code: 'SERVER_ERROR' });
+const fail = async () => {
+    throw serverError();
+};
+const succeed = async () => 'ok';
+
+async function openCircuit(endpoint) {
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+        await assert.rejects(withRpcFailover(CHAIN, fail));
+    }
+    assert.ok(endpoint.circuitOpenUntil > Date.now());
+}
+
+test.beforeEach(() => {
+    rpcEndpoints[CHAIN] = [fakeEndpoint()];
+});
+
+test('the circuit opens after consecutive endpoint failures', async () => {
+    const [endpoint] = rpcEndpoints[CHAIN];
+    await openCircuit(endpoint);
+    
+    assert.deepEqual(getAvailableEndpoints(CHAIN), []);
+    let called = false;
+    await assert.rejects(withRpcFailover(CHAIN, async () => {
+        called = true;
+    }), { code: 'NO_ENDPOINTS' });
+    assert.equal(called, false);
+});
+
+test('a success resets the failure count', async () => {
+    const [endpoint] = rpcEndpoints[CHAIN];
+    await assert.rejects(withRpcFailover(CHAIN, fail));
+    await assert.rejects(withRpcFailover(CHAIN, fail));
+    assert.equal(await withRpcFailover(CHAIN, succeed), 'ok');
+    await assert.rejects(withRpcFailover(CHAIN, fail));
+    
+    assert.equal(endpoint.consecutiveFailures, 1);
+    assert.equal(endpoint.circuitOpenUntil, 0);
+});
+
+test('reverts and bad requests do not count against the endpoint', async () => {
+    const [endpoint] = rpcEndpoints[CHAIN];
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+        await assert.rejects(withRpcFailover(CHAIN, async () => {
+            throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' });
+        }), { code: 'CALL_EXCEPTION' });
+    }
+    
+    assert.equal(endpoint.consecutiveFailures, 0);
+    assert.equal(getAvailableEndpoints(CHAIN).length, 1);
+});
+
+test('after the cooldown one trial request is let through', async () => {
+    const [endpoint] = rpcEndpoints[CHAIN];
+    await openCircuit(endpoint);
+    endpoint.circuitOpenUntil = Date.now() - 1;
+    
+    let release;
+    const trial = withRpcFailover(CHAIN, () => new Promise(resolve => {
+        release = resolve;
+    }));
+    assert.equal(endpoint.trialInFlight, true);
+    await assert.rejects(withRpcFailover(CHAIN, succeed), { code: 'NO_ENDPOINTS' });
+    
+    release('ok');
+    assert.equal(await trial, 'ok');
+    assert.equal(endpoint.trialInFlight, false);
+    assert.equal(endpoint.circuitOpenUntil, 0);
+    assert.equal(endpoint.consecutiveFailures, 0);
+});
+
+test('a failed trial reopens the circuit', async () => {
+    const [endpoint] = rpcEndpoints[CHAIN];
+    await openCircuit(endpoint);
+    endpoint.circuitOpenUntil = Date.now() - 1;
+    
+    await assert.rejects(withRpcFailover(CHAIN, fail));
+    assert.equal(endpoint.trialInFlight, false);
+    assert.ok(endpoint.circuitOpenUntil > Date.now());
+});
+
+test('failover moves to the next endpoint and keeps keys out of errors', async () => {
+    const backup = { ...fakeEndpoint(), url: 'https://rpc.example.org/', label: 'rpc.example.org', upstream: 'rpc', score: 0.5 };
+    rpcEndpoints[CHAIN].push(backup);
+    const [primary] = rpcEndpoints[CHAIN];
+    
+    const result = await withRpcFailover(CHAIN, async (endpoint) => {
+        if (endpoint === primary) throw serverError();
+        return endpoint.label;
+    });
+    
+    assert.equal(result, 'rpc.example.org');
+    assert.equal(primary.consecutiveFailures, 1);
+    assert.ok(!primary.lastError.includes('secret-key'));
+    assert.ok(primary.lastError.includes('eth-mainnet.g.alchemy.com'));
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyToken } = require('../server');
+
+const token = (fields) => ({
+    chain: 'ethereum',
+    contractAddress: '0x1234567890123456789012345678901234567890',
+    name: 'Some Token',
+    symbol: 'SOME',
+    balance: '12.5',
+    price: 1.2,
+    priceSource: 'coingecko',
+    priceConfidence: 0.9,
+    usdValue: 15,
+    ...fields
+});
+
+test('native and allowlisted tokens are never spam', () => {
+    assert.deepEqual(classifyToken(token({ isNative: true, name: 'Visit claim.com' })), { score: 0, reasons: ['native asset'] });
+    const usdc = classifyToken(token({ contractAddress: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', price: 0 }));
+    assert.deepEqual(usdc, { score: 0, reasons: ['allowlisted contract'] });
+});
+
+test('a priced ordinary token scores 0', () => {
+    assert.equal(classifyToken(token()).score, 0);
+});
+
+test('URL and lure wording in the name add up', () => {
+    const result = classifyToken(token({ name: 'Visit https://claim-rewards.xyz', symbol: 'CLAIM', price: 0, usdValue: 0 }));
+    assert.ok(result.reasons.includes('URL in name or symbol'));
+    assert.ok(result.reasons.includes('airdrop/claim lure wording'));
+    assert.ok(result.score >= 50);
+});
+
+test('a known symbol on another contract is impersonation', () => {
+    const result = classifyToken(token({ symbol: 'USDC', price: 0, usdValue: 0 }));
+    assert.ok(result.reasons.includes('claims USDC symbol but is not the known contract'));
+});
+
+test('homoglyph symbols are normalized before the impersonation check', () => {
+    const result = classifyToken(token({ symbol: 'USDС', price: 0, usdValue: 0 }));
+    assert.ok(result.reasons.includes('look-alike (homoglyph) characters'));
+    assert.ok(result.reasons.includes('claims USDC symbol but is not the known contract'));
+});
+
+test('missing prices only count while pricing is available', () => {
+    const unpriced = token({ price: 0, usdValue: 0, balance: '1000' });
+    assert.ok(classifyToken(unpriced).reasons.includes('no market price'));
+    assert.ok(classifyToken(unpriced).reasons.includes('airdrop-style round balance'));
+    assert.deepEqual(classifyToken(unpriced, { pricingAvailable: false }).reasons, []);
+});
+
+test('scores are clamped to 0-100', () => {
+    const result = classifyToken(token({
+        name: 'www.free-airdrop.com 🎁',
+        symbol: 'USDC',
+        price: 0,
+        usdValue: 0,
+        balance: '5000',
+        airdrop: { txHash: '0xabc', recipients: 800 }
+    }));
+    assert.equal(result.score, 100);
+});
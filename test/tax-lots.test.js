@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildTaxLots } = require('../server');
+
+const USDC = { type: 'erc20', contractAddress: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', decimals: 6 };
+const ETH = { type: 'native', contractAddress: null, symbol: 'ETH' };
+
+let seq = 0;
+const transfer = (timestamp, direction, asset, value, priceUsd, fields = {}) => ({
+    id: `ethereum:0x${++seq}:0`,
+    chain: 'ethereum',
+    hash: `0x${seq}`,
+    timestamp,
+    direction,
+    status: 'success',
+    asset,
+    value,
+    priceUsd,
+    valueUsd: priceUsd === null ? null : parseFloat(value) * priceUsd,
+    feePaidByWallet: false,
+    ...fields
+});
+
+test('disposals consume the oldest lots first', () => {
+    const { lots, disposals, summary } = buildTaxLots([
+        // Given newest first, as the history endpoint returns them
+        transfer('2024-03-01T00:00:00Z', 'out', ETH, '1.5', 3000),
+        transfer('2024-02-01T00:00:00Z', 'in', ETH, '1', 2000),
+        transfer('2024-01-01T00:00:00Z', 'in', ETH, '1', 1000)
+    ]);
+    
+    assert.equal(disposals.length, 2);
+    assert.deepEqual(disposals.map(d => [d.amount, d.costBasisUsd, d.proceedsUsd]), [['1.0', 1000, 3000], ['0.5', 1000, 1500]]);
+    assert.equal(summary.realizedGainUsd, 2500);
+    assert.equal(lots.length, 1);
+    assert.equal(lots[0].amount, '0.5');
+    assert.equal(lots[0].costBasisUsd, 1000);
+    assert.equal(lots[0].unitCostUsd, 2000);
+});
+
+test('lots are kept per asset and holding period sets the term', () => {
+    const { lots, disposals } = buildTaxLots([
+        transfer('2023-01-01T00:00:00Z', 'in', USDC, '100', 1),
+        transfer('2023-01-01T00:00:00Z', 'in', ETH, '2', 1200),
+        transfer('2023-06-01T00:00:00Z', 'out', ETH, '1', 1800),
+        transfer('2024-06-01T00:00:00Z', 'out', USDC, '40', 1)
+    ]);
+    
+    assert.deepEqual(disposals.map(d => [d.symbol, d.term]), [['ETH', 'short'], ['USDC', 'long']]);
+    assert.deepEqual(lots.map(l => [l.symbol, l.amount]).sort(), [['ETH', '1.0'], ['USDC', '60.0']]);
+});
+
+test('disposals without a known acquisition have no cost basis', () => {
+    const { disposals, summary } = buildTaxLots([
+        transfer('2024-01-01T00:00:00Z', 'in', USDC, '10', 1),
+        transfer('2024-01-02T00:00:00Z', 'out', USDC, '25', 1)
+    ]);
+    
+    assert.deepEqual(disposals.map(d => [d.amount, d.costBasisUsd]), [['10.0', 10], ['15.0', null]]);
+    assert.equal(summary.missingCostBasis, 1);
+});
+
+test('gas paid by the wallet disposes of native lots', () => {
+    const { lots, disposals } = buildTaxLots([
+        transfer('2024-01-01T00:00:00Z', 'in', ETH, '1', 2000),
+        transfer('2024-01-02T00:00:00Z', 'out', USDC, '0', 1, { feePaidByWallet: true, fee: '0.01', feeUsd: 25 })
+    ]);
+    
+    assert.equal(disposals.length, 1);
+    assert.equal(disposals[0].kind, 'fee');
+    assert.equal(disposals[0].amount, '0.01');
+    assert.equal(disposals[0].costBasisUsd, 20);
+    assert.equal(lots[0].amount, '0.99');
+});
+
+test('failed and self transfers open no lots', () => {
+    const { lots, disposals } = buildTaxLots([
+        transfer('2024-01-01T00:00:00Z', 'in', ETH, '1', 2000, { status: 'failed' }),
+        transfer('2024-01-02T00:00:00Z', 'self', ETH, '1', 2000)
+    ]);
+    
+    assert.equal(lots.length, 0);
+    assert.equal(disposals.length, 0);
+});
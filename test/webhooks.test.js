@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPrivateIp } = require('../server');
+
+test('isPrivateIp refuses private, loopback and reserved ranges', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fc00::1', 'fe80::1', '::ffff:127.0.0.1', '64:ff9b::a00:1'].forEach(ip => {
+        assert.equal(isPrivateIp(ip), true, ip);
+    });
+});
+
+test('isPrivateIp allows public addresses', () => {
+    ['1.1.1.1', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111'].forEach(ip => {
+        assert.equal(isPrivateIp(ip), false, ip);
+    });
+});
+
+test('isPrivateIp refuses anything that is not an IP address', () => {
+    ['', 'localhost', '999.1.1.1', '0x7f.0.0.1'].forEach(ip => {
+        assert.equal(isPrivateIp(ip), true, ip);
+    });
+});